@@ -0,0 +1,98 @@
+import { openAIApi, toErrorResponse } from './openai-api.js';
+import logger from '../utils/logger.js';
+
+// Page side of the local HTTP endpoint. sw.js turns same-origin
+// `POST /v1/chat/completions` and `POST /v1/embeddings` into a
+// LOCAL_API_REQUEST message to an app tab, with a MessageChannel port for the
+// reply; this answers it with openAIApi, so any script or iframe on the
+// origin can use the loaded models with plain fetch:
+//
+//   const response = await fetch('/v1/chat/completions', {
+//       method: 'POST',
+//       headers: { 'Content-Type': 'application/json' },
+//       body: JSON.stringify({ messages: [{ role: 'user', content: 'Hi' }] })
+//   });
+//
+// Port protocol (tab -> service worker):
+//   { type: 'accepted' }                   request picked up
+//   { type: 'response', status, body }     JSON response
+//   { type: 'stream' }                     SSE response follows
+//   { type: 'chunk', data }                one chat.completion.chunk
+//   { type: 'done' }                       end of stream
+//   { type: 'error', status, body }        OpenAI error body
+// (service worker -> tab):
+//   { type: 'cancel' }                     client went away
+
+const ROUTES = {
+    '/v1/chat/completions': (body, options) => openAIApi.chat.completions.create(body, options),
+    '/v1/embeddings': body => openAIApi.embeddings.create(body)
+};
+
+function getErrorStatus(error) {
+    if (error?.status) {
+        return error.status;
+    }
+    // Client Closed Request; the client is gone, so this is only for logs
+    return error?.name === 'AbortError' ? 499 : 500;
+}
+
+async function handleRequest({ path, body }, port) {
+    const abortController = new AbortController();
+    port.onmessage = (event) => {
+        if (event.data?.type === 'cancel') {
+            abortController.abort();
+        }
+    };
+    port.postMessage({ type: 'accepted' });
+
+    try {
+        const route = ROUTES[path];
+        if (!route) {
+            const error = new Error(`Unknown endpoint ${path}`);
+            error.status = 404;
+            error.type = 'invalid_request_error';
+            throw error;
+        }
+
+        const result = await route(body, { signal: abortController.signal });
+        if (!result?.[Symbol.asyncIterator]) {
+            port.postMessage({ type: 'response', status: 200, body: result });
+            return;
+        }
+
+        port.postMessage({ type: 'stream' });
+        for await (const chunk of result) {
+            port.postMessage({ type: 'chunk', data: chunk });
+        }
+        port.postMessage({ type: 'done' });
+    } catch (error) {
+        const status = getErrorStatus(error);
+        if (status >= 500 && status !== 503) {
+            logger.error(`[LocalEndpoint] ${path} failed:`, error);
+        }
+        port.postMessage({ type: 'error', status, body: toErrorResponse(error) });
+    } finally {
+        port.onmessage = null;
+        port.close();
+    }
+}
+
+/**
+ * Answer the service worker's local API requests from this tab. Returns
+ * false when the browser has no service workers.
+ */
+export function serveLocalEndpoint() {
+    if (!('serviceWorker' in navigator)) {
+        return false;
+    }
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'LOCAL_API_REQUEST' && event.ports[0]) {
+            handleRequest(event.data, event.ports[0]);
+        }
+    });
+    // Messages sent before the listener existed are queued until now
+    navigator.serviceWorker.startMessages();
+    logger.log('[LocalEndpoint] Serving /v1/chat/completions and /v1/embeddings');
+    return true;
+}
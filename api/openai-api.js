@@ -0,0 +1,481 @@
+import { chatEngine } from '../llm/chat-engine.js';
+import { modelLoader } from '../llm/loader.js';
+import { tokenCounter } from '../llm/token-counter.js';
+import { embedder } from '../embeddings/embedder.js';
+import logger from '../utils/logger.js';
+
+// OpenAI-compatible facade over the models this page has loaded, so other
+// scripts can reuse them: chat.completions.create (with streaming and usage)
+// on ChatEngine, embeddings.create on the embedder. Installed as
+// window.llmOnWeb by installOpenAIApi().
+//
+//   const stream = await llmOnWeb.chat.completions.create({ messages, stream: true });
+//   for await (const chunk of stream) console.log(chunk.choices[0]?.delta.content);
+
+// max_tokens when the request doesn't set one
+const DEFAULT_MAX_TOKENS = 512;
+// OpenAI accepts at most this many stop sequences
+const MAX_STOP_SEQUENCES = 4;
+
+const MESSAGE_ROLES = ['system', 'developer', 'user', 'assistant'];
+
+/**
+ * Error with the HTTP status and fields of an OpenAI error response.
+ */
+function createApiError(status, message, param = null) {
+    const error = new Error(message);
+    error.name = 'OpenAIApiError';
+    error.status = status;
+    error.type = status >= 500 || status === 429 ? 'server_error' : 'invalid_request_error';
+    error.param = param;
+    return error;
+}
+
+/**
+ * Body of an error response: `{ error: { message, type, param, code } }`.
+ */
+function toErrorResponse(error) {
+    return {
+        error: {
+            message: error?.message || String(error),
+            type: error?.type || 'server_error',
+            param: error?.param ?? null,
+            code: null
+        }
+    };
+}
+
+function createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Index where the first stop sequence starts in `text`, or -1.
+ */
+function findStop(text, stop) {
+    const indexes = stop.map(sequence => text.indexOf(sequence)).filter(index => index !== -1);
+    return indexes.length > 0 ? Math.min(...indexes) : -1;
+}
+
+/**
+ * Length of the longest end of `text` that could be the start of a stop
+ * sequence; streaming holds it back until the next token decides.
+ */
+function getHeldBackLength(text, stop) {
+    let held = 0;
+    for (const sequence of stop) {
+        for (let length = Math.min(sequence.length - 1, text.length); length > held; length--) {
+            if (text.endsWith(sequence.slice(0, length))) {
+                held = length;
+                break;
+            }
+        }
+    }
+    return held;
+}
+
+/**
+ * Logprob entries covering the first `length` characters, in OpenAI's shape.
+ */
+function takeLogprobs(entries, start, length) {
+    const taken = [];
+    let covered = entries.slice(0, start).reduce((sum, entry) => sum + entry.token.length, 0);
+    for (let index = start; index < entries.length; index++) {
+        const entry = entries[index];
+        if (covered + entry.token.length > length) {
+            break;
+        }
+        covered += entry.token.length;
+        taken.push({
+            ...entry,
+            bytes: Array.from(new TextEncoder().encode(entry.token))
+        });
+    }
+    return taken;
+}
+
+function encodeBase64(vector) {
+    const bytes = new Uint8Array(new Float32Array(vector).buffer);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Async iterable of stream chunks, fed by the generation callbacks. Leaving a
+ * `for await` loop early stops the generation.
+ */
+class ChunkStream {
+    constructor(onCancel) {
+        this.chunks = [];
+        this.waiting = null;
+        this.done = false;
+        this.error = null;
+        this.onCancel = onCancel;
+    }
+
+    push(chunk) {
+        if (this.done) {
+            return;
+        }
+        if (this.waiting) {
+            this.waiting.resolve({ value: chunk, done: false });
+            this.waiting = null;
+        } else {
+            this.chunks.push(chunk);
+        }
+    }
+
+    end(error = null) {
+        if (this.done) {
+            return;
+        }
+        this.done = true;
+        this.error = error;
+        if (this.waiting) {
+            if (error) {
+                this.waiting.reject(error);
+            } else {
+                this.waiting.resolve({ value: undefined, done: true });
+            }
+            this.waiting = null;
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return {
+            next: () => {
+                if (this.chunks.length > 0) {
+                    return Promise.resolve({ value: this.chunks.shift(), done: false });
+                }
+                if (this.done) {
+                    return this.error ? Promise.reject(this.error) : Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise((resolve, reject) => {
+                    this.waiting = { resolve, reject };
+                });
+            },
+            return: () => {
+                if (!this.done) {
+                    this.done = true;
+                    this.onCancel();
+                }
+                this.chunks = [];
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+    }
+}
+
+class OpenAIApi {
+    constructor() {
+        this.chat = {
+            completions: {
+                create: (request, options) => this.createChatCompletion(request, options)
+            }
+        };
+        this.embeddings = {
+            create: (request) => this.createEmbedding(request)
+        };
+    }
+
+    /**
+     * OpenAI `chat.completions.create`. Resolves with a `chat.completion`, or
+     * with an async iterable of `chat.completion.chunk`s when `stream` is set.
+     * `options.signal` cancels the request.
+     */
+    async createChatCompletion(request = {}, options = {}) {
+        const completion = this.parseChatRequest(request);
+        const id = createId('chatcmpl');
+        const created = Math.floor(Date.now() / 1000);
+        const model = modelLoader.getCurrentModel('llm');
+        const base = { id, created, model };
+
+        if (!request.stream) {
+            const result = await this.enqueue(completion, null, options.signal);
+            return {
+                ...base,
+                object: 'chat.completion',
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: result.text },
+                    logprobs: completion.logprobs ? { content: result.logprobs } : null,
+                    finish_reason: result.finishReason
+                }],
+                usage: result.usage
+            };
+        }
+
+        const abortController = new AbortController();
+        options.signal?.addEventListener('abort', () => abortController.abort(), { once: true });
+        const stream = new ChunkStream(() => abortController.abort());
+        const chunk = (choices, extra = {}) => ({ ...base, object: 'chat.completion.chunk', choices, ...extra });
+
+        stream.push(chunk([{ index: 0, delta: { role: 'assistant', content: '' }, logprobs: null, finish_reason: null }]));
+
+        this.enqueue(completion, (content, logprobs) => {
+            stream.push(chunk([{
+                index: 0,
+                delta: { content },
+                logprobs: completion.logprobs ? { content: logprobs } : null,
+                finish_reason: null
+            }]));
+        }, abortController.signal).then((result) => {
+            stream.push(chunk([{ index: 0, delta: {}, logprobs: null, finish_reason: result.finishReason }]));
+            if (request.stream_options?.include_usage) {
+                stream.push(chunk([], { usage: result.usage }));
+            }
+            stream.end();
+        }, (error) => stream.end(error));
+
+        return stream;
+    }
+
+    /**
+     * Validate an OpenAI chat request and map it onto ChatEngine options.
+     */
+    parseChatRequest(request) {
+        const { messages } = request;
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw createApiError(400, '`messages` must be a non-empty array', 'messages');
+        }
+        if (request.n !== undefined && request.n !== 1) {
+            throw createApiError(400, 'Only n = 1 is supported', 'n');
+        }
+        if (request.tools?.length) {
+            throw createApiError(400, 'Tool calling is not supported', 'tools');
+        }
+
+        const parsedMessages = messages.map((message, index) => {
+            if (!MESSAGE_ROLES.includes(message?.role)) {
+                throw createApiError(400, `Unsupported role "${message?.role}"`, `messages[${index}].role`);
+            }
+
+            let content = message.content ?? '';
+            if (Array.isArray(content)) {
+                if (content.some(part => part?.type !== 'text')) {
+                    throw createApiError(400, 'Only text content parts are supported', `messages[${index}].content`);
+                }
+                content = content.map(part => part.text).join('');
+            }
+            if (typeof content !== 'string') {
+                throw createApiError(400, 'Message content must be a string or text parts', `messages[${index}].content`);
+            }
+
+            return { role: message.role === 'developer' ? 'system' : message.role, content };
+        });
+
+        const maxTokens = request.max_completion_tokens ?? request.max_tokens ?? DEFAULT_MAX_TOKENS;
+        if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+            throw createApiError(400, '`max_tokens` must be a positive integer', 'max_tokens');
+        }
+        if (request.seed != null && !Number.isInteger(request.seed)) {
+            throw createApiError(400, '`seed` must be an integer', 'seed');
+        }
+
+        const params = {
+            maxNewTokens: maxTokens,
+            temperature: request.temperature ?? 1.0,
+            topP: request.top_p ?? 1.0,
+            presencePenalty: request.presence_penalty || 0,
+            frequencyPenalty: request.frequency_penalty || 0
+        };
+        if (request.seed != null) {
+            params.seed = request.seed;
+        }
+
+        const stop = (typeof request.stop === 'string' ? [request.stop] : request.stop || [])
+            .filter(sequence => typeof sequence === 'string' && sequence.length > 0);
+        if (stop.length > MAX_STOP_SEQUENCES) {
+            throw createApiError(400, `At most ${MAX_STOP_SEQUENCES} stop sequences are supported`, 'stop');
+        }
+
+        let jsonSchema = null;
+        const format = request.response_format;
+        if (format?.type === 'json_object') {
+            jsonSchema = true;
+        } else if (format?.type === 'json_schema') {
+            jsonSchema = format.json_schema?.schema || true;
+        } else if (format && format.type !== 'text') {
+            throw createApiError(400, `Unsupported response_format type "${format.type}"`, 'response_format');
+        }
+
+        return {
+            messages: parsedMessages,
+            params,
+            stop,
+            jsonSchema,
+            logprobs: Boolean(request.logprobs),
+            topLogprobs: request.top_logprobs ?? 0
+        };
+    }
+
+    /**
+     * Run a completion once the model is free. Completions and chat replies
+     * share one line, so each waits for those requested before it.
+     */
+    async enqueue(completion, onDelta, signal) {
+        const release = await chatEngine.acquire(signal);
+        try {
+            return await this.complete(completion, onDelta, signal);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Run one completion. `onDelta(text, logprobs)` receives the text as it
+     * streams, minus anything that may turn out to be a stop sequence.
+     * Resolves with `{ text, finishReason, logprobs, usage }`.
+     */
+    async complete(completion, onDelta, signal) {
+        const { messages, params, stop, jsonSchema, logprobs, topLogprobs } = completion;
+
+        if (signal?.aborted) {
+            const error = new Error('Request aborted');
+            error.name = 'AbortError';
+            throw error;
+        }
+        if (!modelLoader.getCurrentModel('llm')) {
+            throw createApiError(503, 'No language model is loaded yet');
+        }
+
+        let text = '';
+        let emitted = 0;
+        let stopped = false;
+        const entries = [];
+        let sentEntries = 0;
+
+        const emit = (length) => {
+            if (length <= emitted) {
+                return;
+            }
+            const delta = text.slice(emitted, length);
+            const deltaLogprobs = takeLogprobs(entries, sentEntries, length);
+            sentEntries += deltaLogprobs.length;
+            emitted = length;
+            onDelta?.(delta, deltaLogprobs);
+        };
+
+        const stats = await new Promise((resolve, reject) => {
+            chatEngine.generateStream({
+                messages,
+                params,
+                // The request's own system messages, if any, are the system prompt
+                systemPrompt: null,
+                jsonSchema,
+                logprobs,
+                topLogprobs,
+                signal,
+                onToken: (token, tokenStats) => {
+                    if (stopped) {
+                        return;
+                    }
+                    text += token;
+                    if (tokenStats.logprobs) {
+                        entries.push(...tokenStats.logprobs);
+                    }
+
+                    const stopIndex = findStop(text, stop);
+                    if (stopIndex !== -1) {
+                        text = text.slice(0, stopIndex);
+                        stopped = true;
+                        chatEngine.stop('stop');
+                        emit(text.length);
+                        return;
+                    }
+                    emit(text.length - getHeldBackLength(text, stop));
+                },
+                onDone: resolve
+            }).catch(reject);
+        });
+
+        if (stats.aborted && !stopped && signal?.aborted) {
+            const error = new Error('Request aborted');
+            error.name = 'AbortError';
+            throw error;
+        }
+
+        if (!stopped) {
+            // The engine's final text is authoritative (e.g. its own stop sequences)
+            text = stats.text ?? text;
+            const stopIndex = findStop(text, stop);
+            if (stopIndex !== -1) {
+                text = text.slice(0, stopIndex);
+                stopped = true;
+            }
+        }
+        emit(text.length);
+
+        const promptTokens = stats.promptTokens || 0;
+        const completionTokens = stats.completionTokens || 0;
+        logger.log(`[OpenAIApi] Completion finished: ${promptTokens} prompt + ${completionTokens} completion tokens`);
+
+        return {
+            text,
+            finishReason: !stopped && ['length', 'timeout'].includes(stats.finishReason) ? 'length' : 'stop',
+            logprobs: takeLogprobs(stats.logprobs || entries, 0, text.length),
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    /**
+     * OpenAI `embeddings.create` with the loaded embedding model. `input` is
+     * a string or an array of strings; `encoding_format` may be 'float' or
+     * 'base64'.
+     */
+    async createEmbedding(request = {}) {
+        const inputs = typeof request.input === 'string' ? [request.input] : request.input;
+        if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(input => typeof input !== 'string')) {
+            throw createApiError(400, '`input` must be a string or a non-empty array of strings', 'input');
+        }
+
+        const format = request.encoding_format || 'float';
+        if (!['float', 'base64'].includes(format)) {
+            throw createApiError(400, '`encoding_format` must be "float" or "base64"', 'encoding_format');
+        }
+        if (!embedder.isInitialized()) {
+            throw createApiError(503, 'No embedding model is loaded yet');
+        }
+        if (request.dimensions !== undefined && request.dimensions !== embedder.getDimensions()) {
+            throw createApiError(400, `The embedding model only produces ${embedder.getDimensions()} dimensions`, 'dimensions');
+        }
+
+        const vectors = await embedder.embedBatch(inputs);
+        const promptTokens = inputs.reduce((sum, input) => sum + tokenCounter.count(input, 'embedder'), 0);
+
+        return {
+            object: 'list',
+            data: vectors.map((vector, index) => ({
+                object: 'embedding',
+                index,
+                embedding: format === 'base64' ? encodeBase64(vector) : vector
+            })),
+            model: embedder.modelId,
+            usage: {
+                prompt_tokens: promptTokens,
+                total_tokens: promptTokens
+            }
+        };
+    }
+}
+
+// Create singleton instance
+const openAIApi = new OpenAIApi();
+
+export { openAIApi, OpenAIApi, toErrorResponse };
+
+/**
+ * Expose the API to other scripts on the page as `window.llmOnWeb`.
+ */
+export function installOpenAIApi() {
+    globalThis.llmOnWeb = openAIApi;
+    logger.log('[OpenAIApi] Available as window.llmOnWeb');
+    return openAIApi;
+}
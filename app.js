@@ -1,6 +1,17 @@
 import { pipeline, env, TextStreamer } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.3';
-import { loadLLM, loadEmbedder, onProgress } from './llm/loader.js';
-import { initializeChatUI, sendChatMessage, stopChatGeneration } from './ui/chat-ui.js';
+import { loadWithFallback, onProgress, modelLoader } from './llm/loader.js';
+import { modelRegistry } from './llm/models.js';
+import { importLocalModel, listLocalModels, deleteLocalModel } from './llm/local-models.js';
+import { downloadManager, ensureModelDownloaded } from './llm/download-manager.js';
+import { modelCache } from './llm/model-cache.js';
+import { deviceBenchmark } from './llm/benchmark.js';
+import { chatEngine, isGenerating } from './llm/chat-engine.js';
+import { enableInferenceWorker, disableInferenceWorker, inferenceWorker } from './llm/worker-client.js';
+import { chatUI, initializeChatUI, sendChatMessage, stopChatGeneration } from './ui/chat-ui.js';
+import { promptPresets } from './llm/prompt-presets.js';
+import { registerBuiltinTools } from './tools/builtin-tools.js';
+import { installOpenAIApi } from './api/openai-api.js';
+import { serveLocalEndpoint } from './api/local-endpoint.js';
 import {
     initializeVectorStore,
     addDocument,
@@ -14,6 +25,16 @@ import { processFiles } from './utils/text.js';
 import logger from './utils/logger.js';
 import onboarding from './onboarding/onboarding.js';
 
+// Sampling sliders beyond temperature/top-p: [slider id, value label id, state key]
+const SAMPLING_SLIDERS = [
+    ['topKSlider', 'topKValue', 'topK'],
+    ['minPSlider', 'minPValue', 'minP'],
+    ['repetitionPenaltySlider', 'repetitionPenaltyValue', 'repetitionPenalty'],
+    ['presencePenaltySlider', 'presencePenaltyValue', 'presencePenalty'],
+    ['frequencyPenaltySlider', 'frequencyPenaltyValue', 'frequencyPenalty'],
+    ['noRepeatNgramSlider', 'noRepeatNgramValue', 'noRepeatNgramSize']
+];
+
 class LLMWebApp {
     constructor() {
         this.elements = {};
@@ -24,18 +45,40 @@ class LLMWebApp {
             temperature: 1.0,
             topP: 0.9,
             maxTokens: 256,
+            topK: 50,
+            minP: 0,
+            repetitionPenalty: 1.1,
+            presencePenalty: 0,
+            frequencyPenalty: 0,
+            noRepeatNgramSize: 0,
+            // Sample with a fixed seed for reproducible answers
+            deterministic: false,
+            seed: 42,
             ragEnabled: true,
             ragThreshold: 0.2,
+            toolsEnabled: true,
+            logprobsEnabled: false,
+            // Draft tokens with a small model of the same family (WASM only)
+            speculativeDecoding: false,
+            // Let reasoning models think before answering
+            thinkingEnabled: true,
+            llmModel: null,
+            embeddingModel: null,
+            // Explicit quantization per model id; absent means auto
+            modelDtypes: {},
             messages: [],
             llmPipeline: null,
             embeddingPipeline: null,
             chatUI: null,
-            vectorStoreReady: false
+            vectorStoreReady: false,
+            benchmarkRecommendation: null
         };
 
         this.initElements();
+        this.populateModelSelects();
         this.bindEvents();
         this.loadSettings();
+        this.renderPromptPresets();
         this.restoreChat();
         this.initialize();
     }
@@ -48,41 +91,81 @@ class LLMWebApp {
             chatInput: document.getElementById('chatInput'),
             sendBtn: document.getElementById('sendBtn'),
             stopBtn: document.getElementById('stopBtn'),
+            promptQueue: document.getElementById('promptQueue'),
             tokenCounter: document.getElementById('tokenCounter'),
+            summaryBtn: document.getElementById('summaryBtn'),
             timeCounter: document.getElementById('timeCounter'),
             sidebar: document.getElementById('sidebar'),
             sidebarToggle: document.getElementById('sidebarToggle'),
             settingsBtn: document.getElementById('settingsBtn'),
             backendSelect: document.getElementById('backendSelect'),
             llmModelSelect: document.getElementById('llmModelSelect'),
+            llmDtypeSelect: document.getElementById('llmDtypeSelect'),
+            llmDtypeHint: document.getElementById('llmDtypeHint'),
             ttsModelSelect: document.getElementById('ttsModelSelect'),
             embeddingModelSelect: document.getElementById('embeddingModelSelect'),
+            embeddingDtypeSelect: document.getElementById('embeddingDtypeSelect'),
+            embeddingDtypeHint: document.getElementById('embeddingDtypeHint'),
             temperatureSlider: document.getElementById('temperatureSlider'),
             temperatureValue: document.getElementById('temperatureValue'),
             topPSlider: document.getElementById('topPSlider'),
             topPValue: document.getElementById('topPValue'),
             maxTokensSlider: document.getElementById('maxTokensSlider'),
             maxTokensValue: document.getElementById('maxTokensValue'),
+            ...Object.fromEntries(SAMPLING_SLIDERS.flatMap(([slider, label]) => [
+                [slider, document.getElementById(slider)],
+                [label, document.getElementById(label)]
+            ])),
+            deterministicToggle: document.getElementById('deterministicToggle'),
+            seedContainer: document.getElementById('seedContainer'),
+            seedInput: document.getElementById('seedInput'),
+            toolsToggle: document.getElementById('toolsToggle'),
+            logprobsToggle: document.getElementById('logprobsToggle'),
+            thinkingToggle: document.getElementById('thinkingToggle'),
+            speculativeToggle: document.getElementById('speculativeToggle'),
+            speculativeHint: document.getElementById('speculativeHint'),
+            promptPresetSelect: document.getElementById('promptPresetSelect'),
+            promptPresetName: document.getElementById('promptPresetName'),
+            systemPromptInput: document.getElementById('systemPromptInput'),
+            ragPromptInput: document.getElementById('ragPromptInput'),
+            savePresetBtn: document.getElementById('savePresetBtn'),
+            savePresetAsBtn: document.getElementById('savePresetAsBtn'),
+            deletePresetBtn: document.getElementById('deletePresetBtn'),
             ragToggle: document.getElementById('ragToggle'),
             ragThresholdContainer: document.getElementById('ragThresholdContainer'),
             ragThresholdSlider: document.getElementById('ragThresholdSlider'),
             ragThresholdValue: document.getElementById('ragThresholdValue'),
             fileDropZone: document.getElementById('fileDropZone'),
             fileInput: document.getElementById('fileInput'),
+            localModelDropZone: document.getElementById('localModelDropZone'),
+            localModelInput: document.getElementById('localModelInput'),
+            localModelList: document.getElementById('localModelList'),
+            downloadsContainer: document.getElementById('downloadsContainer'),
+            downloadList: document.getElementById('downloadList'),
             docCount: document.getElementById('docCount'),
             chunkCount: document.getElementById('chunkCount'),
             clearChatBtn: document.getElementById('clearChatBtn'),
             exportChatBtn: document.getElementById('exportChatBtn'),
             warmupBtn: document.getElementById('warmupBtn'),
+            benchmarkBtn: document.getElementById('benchmarkBtn'),
+            benchmarkRecommendation: document.getElementById('benchmarkRecommendation'),
+            benchmarkRecommendationText: document.getElementById('benchmarkRecommendationText'),
+            applyRecommendationBtn: document.getElementById('applyRecommendationBtn'),
             clearCacheBtn: document.getElementById('clearCacheBtn'),
             documentList: document.getElementById('documentList'),
             refreshDocsBtn: document.getElementById('refreshDocsBtn'),
+            modelCacheList: document.getElementById('modelCacheList'),
+            cacheUsage: document.getElementById('cacheUsage'),
+            refreshCacheBtn: document.getElementById('refreshCacheBtn'),
             clearAllDocsBtn: document.getElementById('clearAllDocsBtn'),
             // Status details elements
             statusDetails: document.getElementById('statusDetails'),
             statusLLM: document.getElementById('statusLLM'),
             statusEmbedding: document.getElementById('statusEmbedding'),
             statusTTS: document.getElementById('statusTTS'),
+            statusLLMBackend: document.getElementById('statusLLMBackend'),
+            statusEmbeddingBackend: document.getElementById('statusEmbeddingBackend'),
+            statusBackendReason: document.getElementById('statusBackendReason'),
             statusTemp: document.getElementById('statusTemp'),
             statusTopP: document.getElementById('statusTopP'),
             statusMaxTokens: document.getElementById('statusMaxTokens'),
@@ -91,6 +174,97 @@ class LLMWebApp {
         };
     }
 
+    populateModelSelects() {
+        modelRegistry.populateSelect(this.elements.llmModelSelect, 'llm');
+        modelRegistry.populateSelect(this.elements.embeddingModelSelect, 'embedder');
+        modelRegistry.populateSelect(this.elements.ttsModelSelect, 'tts');
+        this.populateDtypeSelect('llm');
+        this.populateDtypeSelect('embedder');
+    }
+
+    getDtypeControls(type) {
+        return type === 'llm'
+            ? { modelSelect: this.elements.llmModelSelect, select: this.elements.llmDtypeSelect, hint: this.elements.llmDtypeHint }
+            : { modelSelect: this.elements.embeddingModelSelect, select: this.elements.embeddingDtypeSelect, hint: this.elements.embeddingDtypeHint };
+    }
+
+    getModelDtype(modelId) {
+        const dtype = this.state.modelDtypes?.[modelId];
+        // Ignore saved choices the model no longer publishes
+        return dtype && modelRegistry.getModel(modelId)?.dtypes?.includes(dtype) ? dtype : undefined;
+    }
+
+    setModelDtype(modelId, dtype) {
+        this.state.modelDtypes = { ...this.state.modelDtypes };
+        if (dtype) {
+            this.state.modelDtypes[modelId] = dtype;
+        } else {
+            delete this.state.modelDtypes[modelId];
+        }
+    }
+
+    populateDtypeSelect(type) {
+        const { modelSelect, select } = this.getDtypeControls(type);
+        if (!select || !modelSelect) return;
+
+        const model = modelRegistry.getModel(modelSelect.value);
+        select.innerHTML = '';
+        if (!model) return;
+
+        const auto = document.createElement('option');
+        auto.value = '';
+        auto.textContent = `Auto (${model.defaultDtype})`;
+        select.appendChild(auto);
+
+        (model.dtypes || []).forEach(dtype => {
+            const option = document.createElement('option');
+            option.value = dtype;
+            option.textContent = dtype;
+            select.appendChild(option);
+        });
+
+        select.value = this.getModelDtype(model.id) || '';
+        this.updateDtypeHint(type);
+    }
+
+    async updateDtypeHint(type) {
+        const { modelSelect, select, hint } = this.getDtypeControls(type);
+        const model = modelRegistry.getModel(modelSelect?.value);
+        if (!hint || !model) return;
+
+        // Auto shows what is running now, or the model's default before it loads
+        const loaded = modelLoader.getCurrentModel(type) === model.id ? modelLoader.getCurrentConfig(type) : null;
+        const dtype = select.value || loaded?.dtype || model.defaultDtype;
+        const device = loaded?.device || this.detectBackend();
+        const memoryLabel = device === 'webgpu' ? 'VRAM' : 'RAM';
+
+        if (model.local) {
+            hint.textContent = `${dtype} · stored on this device`;
+            return;
+        }
+
+        const render = (bytes, exact) => {
+            if (!bytes) {
+                hint.textContent = '';
+                return;
+            }
+            const memory = modelRegistry.estimateRuntimeMemory(bytes);
+            hint.textContent = `${exact ? '' : '≈ '}${this.formatBytes(bytes)} download · ≈ ${this.formatBytes(memory)} ${memoryLabel}`;
+        };
+
+        render(modelRegistry.estimateDownloadSize(model.id, dtype), false);
+
+        try {
+            const size = await downloadManager.getDownloadSize(model.id, dtype);
+            // Skip stale results if the selection changed while the Hub was queried
+            if (modelSelect.value === model.id && (select.value || loaded?.dtype || model.defaultDtype) === dtype) {
+                render(size, true);
+            }
+        } catch (error) {
+            logger.warn(`Could not fetch download size for ${model.id} (${dtype}):`, error);
+        }
+    }
+
     bindEvents() {
         this.elements.chatInput.addEventListener('keydown', (e) => this.handleInputKeydown(e));
         this.elements.sendBtn.addEventListener('click', () => this.sendMessage());
@@ -123,6 +297,41 @@ class LLMWebApp {
         this.elements.backendSelect.addEventListener('change', (e) => {
             this.state.backend = e.target.value;
             this.saveSettings();
+            this.updateDtypeHint('llm');
+            this.updateDtypeHint('embedder');
+        });
+
+        this.elements.llmModelSelect.addEventListener('change', (e) => {
+            this.populateDtypeSelect('llm');
+            this.switchLLM(e.target.value);
+        });
+
+        this.elements.llmDtypeSelect?.addEventListener('change', (e) => {
+            const modelId = this.elements.llmModelSelect.value;
+            const previousDtype = this.getModelDtype(modelId);
+            this.setModelDtype(modelId, e.target.value);
+            this.saveSettings();
+            this.updateDtypeHint('llm');
+            this.switchLLM(modelId, { reload: true, previousDtype });
+        });
+
+        this.elements.embeddingDtypeSelect?.addEventListener('change', (e) => {
+            const modelId = this.elements.embeddingModelSelect.value;
+            const previousDtype = this.getModelDtype(modelId);
+            this.setModelDtype(modelId, e.target.value);
+            this.saveSettings();
+            this.updateDtypeHint('embedder');
+            // A different embedding model only applies after a page reload anyway
+            if (modelId === this.state.embeddingModel && modelLoader.getCurrentModel('embedder') === modelId) {
+                this.reloadEmbedder(previousDtype);
+            }
+        });
+
+        this.elements.embeddingModelSelect.addEventListener('change', (e) => {
+            this.populateDtypeSelect('embedder');
+            this.state.embeddingModel = e.target.value;
+            this.saveSettings();
+            this.showAlert('The new embedding model will be used after the page is reloaded. Documents embedded with a different model should be re-uploaded.', 'Embedding Model');
         });
 
         this.elements.temperatureSlider.addEventListener('input', (e) => {
@@ -143,6 +352,53 @@ class LLMWebApp {
             this.saveSettings();
         });
 
+        SAMPLING_SLIDERS.forEach(([slider, label, key]) => {
+            this.elements[slider]?.addEventListener('input', (e) => {
+                this.state[key] = parseFloat(e.target.value);
+                this.elements[label].textContent = this.state[key];
+                this.saveSettings();
+            });
+        });
+
+        this.elements.deterministicToggle?.addEventListener('change', (e) => {
+            this.state.deterministic = e.target.checked;
+            this.elements.seedContainer.style.display = e.target.checked ? 'block' : 'none';
+            this.saveSettings();
+        });
+
+        this.elements.seedInput?.addEventListener('change', (e) => {
+            const seed = parseInt(e.target.value, 10);
+            this.state.seed = Number.isInteger(seed) && seed >= 0 ? seed : 42;
+            e.target.value = this.state.seed;
+            this.saveSettings();
+        });
+
+        this.elements.logprobsToggle?.addEventListener('change', (e) => {
+            this.state.logprobsEnabled = e.target.checked;
+            this.saveSettings();
+            this.state.chatUI?.setLogprobsEnabled(this.state.logprobsEnabled);
+        });
+
+        this.elements.thinkingToggle?.addEventListener('change', (e) => {
+            this.state.thinkingEnabled = e.target.checked;
+            this.saveSettings();
+            this.state.chatUI?.setThinkingEnabled(this.state.thinkingEnabled);
+        });
+
+        this.elements.speculativeToggle?.addEventListener('change', (e) => {
+            this.state.speculativeDecoding = e.target.checked;
+            this.saveSettings();
+            if (this.state.isReady) {
+                this.syncDraftModel();
+            }
+        });
+
+        this.elements.toolsToggle?.addEventListener('change', (e) => {
+            this.state.toolsEnabled = e.target.checked;
+            this.saveSettings();
+            this.state.chatUI?.setToolsEnabled(this.state.toolsEnabled);
+        });
+
         this.elements.ragToggle.addEventListener('change', (e) => {
             this.state.ragEnabled = e.target.checked;
             this.saveSettings();
@@ -169,16 +425,37 @@ class LLMWebApp {
             }
         });
 
+        // Prompt presets
+        this.elements.promptPresetSelect?.addEventListener('change', async (e) => {
+            await chatUI.setPreset(e.target.value);
+            this.renderPromptPresets();
+        });
+        this.elements.savePresetBtn?.addEventListener('click', () => this.savePromptPreset(false));
+        this.elements.savePresetAsBtn?.addEventListener('click', () => this.savePromptPreset(true));
+        this.elements.deletePresetBtn?.addEventListener('click', () => this.deletePromptPreset());
+
         this.elements.clearChatBtn.addEventListener('click', () => this.clearChat());
         this.elements.exportChatBtn.addEventListener('click', () => this.exportChat());
         this.elements.warmupBtn.addEventListener('click', () => this.warmupModel());
+        this.elements.benchmarkBtn?.addEventListener('click', () => this.runBenchmark());
+        this.elements.applyRecommendationBtn?.addEventListener('click', () => this.applyBenchmarkRecommendation());
         this.elements.clearCacheBtn.addEventListener('click', () => this.clearCache());
 
         // Document management buttons
         this.elements.refreshDocsBtn?.addEventListener('click', () => this.loadDocumentList());
         this.elements.clearAllDocsBtn?.addEventListener('click', () => this.clearAllDocuments());
 
+        // Model cache panel
+        this.elements.refreshCacheBtn?.addEventListener('click', () => this.loadModelCacheList());
+        this.elements.modelCacheList?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            e.stopPropagation();
+            this.handleModelCacheAction(btn.dataset.modelId, btn.dataset.action);
+        });
+
         this.setupFileUpload();
+        this.setupLocalModelImport();
         this.setupResponsiveLayout();
     }
 
@@ -208,6 +485,441 @@ class LLMWebApp {
         });
     }
 
+    setupLocalModelImport() {
+        const dropZone = this.elements.localModelDropZone;
+        const input = this.elements.localModelInput;
+        if (!dropZone || !input) return;
+
+        // Prefer the File System Access picker where available; fall back to webkitdirectory
+        input.addEventListener('click', async (e) => {
+            if (typeof window.showDirectoryPicker !== 'function') return;
+            e.preventDefault();
+
+            try {
+                const handle = await window.showDirectoryPicker();
+                const entries = await this.readDirectoryHandle(handle);
+                await this.handleLocalModelImport(handle.name, entries);
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    logger.error('Directory picker failed:', error);
+                    this.showAlert('Could not read the selected folder: ' + error.message, 'Import Failed');
+                }
+            }
+        });
+
+        input.addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files || []);
+            input.value = '';
+            if (files.length === 0) return;
+
+            // webkitRelativePath is "<folder>/<path inside folder>"
+            const folderName = files[0].webkitRelativePath.split('/')[0];
+            const entries = files.map(file => ({
+                path: file.webkitRelativePath.split('/').slice(1).join('/'),
+                file
+            }));
+            await this.handleLocalModelImport(folderName, entries);
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+
+        dropZone.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+
+            const root = e.dataTransfer.items?.[0]?.webkitGetAsEntry?.();
+            if (!root || !root.isDirectory) {
+                this.showAlert('Drop a model folder, not individual files.', 'Import Failed');
+                return;
+            }
+
+            try {
+                const entries = await this.readDirectoryEntry(root);
+                await this.handleLocalModelImport(root.name, entries);
+            } catch (error) {
+                logger.error('Reading dropped folder failed:', error);
+                this.showAlert('Could not read the dropped folder: ' + error.message, 'Import Failed');
+            }
+        });
+    }
+
+    async readDirectoryHandle(handle, prefix = '') {
+        const entries = [];
+        for await (const child of handle.values()) {
+            const path = prefix + child.name;
+            if (child.kind === 'file') {
+                entries.push({ path, file: await child.getFile() });
+            } else {
+                entries.push(...await this.readDirectoryHandle(child, `${path}/`));
+            }
+        }
+        return entries;
+    }
+
+    async readDirectoryEntry(directory, prefix = '') {
+        const reader = directory.createReader();
+        const children = [];
+
+        // readEntries returns results in batches until it yields an empty list
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length > 0);
+
+        const entries = [];
+        for (const child of children) {
+            const path = prefix + child.name;
+            if (child.isFile) {
+                const file = await new Promise((resolve, reject) => child.file(resolve, reject));
+                entries.push({ path, file });
+            } else if (child.isDirectory) {
+                entries.push(...await this.readDirectoryEntry(child, `${path}/`));
+            }
+        }
+        return entries;
+    }
+
+    async handleLocalModelImport(folderName, entries) {
+        const progressModal = this.showProgressModal('Importing Model');
+
+        try {
+            const model = await importLocalModel(folderName, entries, ({ current, total, file }) => {
+                progressModal.update(`Storing ${file} (${current}/${total})`);
+            });
+
+            modelRegistry.register(model);
+            this.populateModelSelects();
+            await this.loadLocalModelList();
+
+            progressModal.close();
+            const target = model.type === 'llm' ? 'Language Model' : 'Embedding Model';
+            this.showAlert(`${model.name} imported (${model.fileCount} files, ${model.params}). Select it under ${target} to use it.`, 'Model Imported');
+        } catch (error) {
+            logger.error('Local model import failed:', error);
+            progressModal.close();
+            this.showAlert(error.message, 'Import Failed');
+        }
+    }
+
+    async registerLocalModels() {
+        try {
+            const models = await listLocalModels();
+            models.forEach(model => modelRegistry.register(model));
+            this.populateModelSelects();
+
+            // Saved selections may point at local models that were not registered yet
+            if (this.state.llmModel && modelRegistry.getModel(this.state.llmModel)) {
+                this.elements.llmModelSelect.value = this.state.llmModel;
+            }
+            if (this.state.embeddingModel && modelRegistry.getModel(this.state.embeddingModel)) {
+                this.elements.embeddingModelSelect.value = this.state.embeddingModel;
+            }
+            this.populateDtypeSelect('llm');
+            this.populateDtypeSelect('embedder');
+
+            await this.loadLocalModelList(models);
+        } catch (error) {
+            logger.warn('Failed to load local models:', error);
+        }
+    }
+
+    async loadLocalModelList(models = null) {
+        const list = this.elements.localModelList;
+        if (!list) return;
+
+        models = models || await listLocalModels();
+        list.hidden = models.length === 0;
+
+        list.innerHTML = models.map(model => `
+            <div class="document-item" data-model-id="${this.escapeHtml(model.id)}">
+                <div class="document-info">
+                    <div class="document-name">${this.escapeHtml(model.name)}</div>
+                    <div class="document-meta">
+                        <span>${model.type === 'llm' ? 'LLM' : 'Embedder'}</span>
+                        <span>${model.params}</span>
+                        <span>${model.dtypes.join(', ')}</span>
+                    </div>
+                </div>
+                <button class="btn-delete-doc" data-model-id="${this.escapeHtml(model.id)}" title="Delete model">
+                    🗑️
+                </button>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.btn-delete-doc').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await this.deleteLocalModel(btn.dataset.modelId);
+            });
+        });
+    }
+
+    async deleteLocalModel(modelId) {
+        if (modelLoader.getCurrentModel('llm') === modelId || modelLoader.getCurrentModel('embedder') === modelId) {
+            this.showAlert('This model is currently loaded. Switch to another model before deleting it.', 'Model In Use');
+            return;
+        }
+
+        const confirmed = await this.showConfirm('Delete this imported model from browser storage?', 'Delete Model', { type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' });
+        if (!confirmed) return;
+
+        try {
+            await deleteLocalModel(modelId);
+            modelRegistry.unregister(modelId);
+            this.populateModelSelects();
+            await this.loadLocalModelList();
+        } catch (error) {
+            logger.error('Failed to delete local model:', error);
+            this.showAlert('Failed to delete model: ' + error.message, 'Error');
+        }
+    }
+
+    async restoreDownloads() {
+        // The list re-renders several times a second while downloading, so buttons are delegated
+        this.elements.downloadList?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            e.stopPropagation();
+            const id = btn.closest('.download-item').dataset.downloadId;
+            this.handleDownloadAction(id, btn.dataset.action);
+        });
+
+        downloadManager.onUpdate((download) => {
+            this.renderDownloads();
+
+            if (download.status === 'completed' || download.status === 'cancelled') {
+                this.loadModelCacheList();
+            }
+
+            // While a model is loading, the status pill follows its download
+            if (!this.state.isReady) {
+                const label = modelRegistry.getLabel(download.modelId);
+                if (download.status === 'downloading') {
+                    this.updateStatus('loading', `Downloading ${label}... ${Math.round(download.progress)}%`);
+                } else if (download.status === 'paused') {
+                    this.updateStatus('loading', `Download paused: ${label}`);
+                }
+            }
+        });
+
+        try {
+            await downloadManager.restore();
+            this.renderDownloads();
+        } catch (error) {
+            logger.warn('Failed to restore downloads:', error);
+        }
+    }
+
+    renderDownloads() {
+        const list = this.elements.downloadList;
+        if (!list) return;
+
+        // Finished downloads are plain cached models; only show ones that need attention
+        const downloads = downloadManager.getDownloads()
+            .filter(download => download.status !== 'completed' && download.status !== 'cancelled');
+        this.elements.downloadsContainer.hidden = downloads.length === 0;
+
+        list.innerHTML = downloads.map(download => {
+            const sizes = `${this.formatBytes(download.received)} / ${this.formatBytes(download.total)}`;
+            let detail = download.status;
+            if (download.status === 'downloading' && download.speed > 0) {
+                detail = `${this.formatBytes(download.speed)}/s · ${this.formatDuration(download.eta)} left`;
+            } else if (download.status === 'error') {
+                detail = download.error || 'Failed';
+            }
+
+            const toggle = download.status === 'downloading'
+                ? `<button class="btn-delete-doc" data-action="pause" title="Pause download">⏸️</button>`
+                : `<button class="btn-delete-doc" data-action="resume" title="Resume download">▶️</button>`;
+
+            return `
+                <div class="document-item download-item ${download.status}" data-download-id="${this.escapeHtml(download.id)}">
+                    <div class="document-info">
+                        <div class="document-name">${this.escapeHtml(modelRegistry.getLabel(download.modelId))}</div>
+                        <div class="document-meta">
+                            <span>${download.dtype}</span>
+                            <span>${sizes}</span>
+                            <span>${this.escapeHtml(detail)}</span>
+                        </div>
+                    </div>
+                    <div class="download-controls">
+                        ${toggle}
+                        <button class="btn-delete-doc" data-action="cancel" title="Cancel download">✖️</button>
+                    </div>
+                    <div class="download-progress">
+                        <div class="download-progress-fill" style="width: ${download.progress.toFixed(1)}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async handleDownloadAction(id, action) {
+        try {
+            if (action === 'pause') {
+                await downloadManager.pause(id);
+            } else if (action === 'cancel') {
+                await downloadManager.cancel(id);
+            } else if (action === 'resume') {
+                // The promise settles when the download finishes; failures show up in the list
+                downloadManager.resume(id).catch(error => {
+                    if (error.name === 'QuotaExceededError') {
+                        this.showAlert(error.message, 'Not Enough Storage');
+                    }
+                });
+            }
+        } catch (error) {
+            logger.error(`Download ${action} failed:`, error);
+        }
+    }
+
+    async loadModelCacheList() {
+        const list = this.elements.modelCacheList;
+        if (!list) return;
+
+        try {
+            const cached = await modelCache.listCachedModels();
+            const cachedIds = new Set(cached.map(model => model.modelId));
+
+            // Catalog models that are not cached yet can be downloaded for offline use
+            const available = modelRegistry.getModels()
+                .filter(model => !model.local && !cachedIds.has(model.id));
+
+            const typeLabels = { llm: 'LLM', embedder: 'Embedder', tts: 'TTS' };
+            let html = cached.map(model => `
+                <div class="document-item model-cache-item">
+                    <div class="document-info">
+                        <div class="document-name">${this.escapeHtml(model.label)}</div>
+                        <div class="document-meta">
+                            <span>${typeLabels[model.type] || 'Other'}</span>
+                            <span>${model.fileCount} files</span>
+                            <span>${this.formatBytes(model.totalSize)}</span>
+                            ${model.dtypes.length ? `<span>${model.dtypes.join(', ')}</span>` : ''}
+                        </div>
+                    </div>
+                    <div class="download-controls">
+                        <button class="btn-delete-doc" data-action="verify" data-model-id="${this.escapeHtml(model.modelId)}" title="Check that all files are present">✔️</button>
+                        <button class="btn-delete-doc" data-action="delete" data-model-id="${this.escapeHtml(model.modelId)}" title="Delete cached files">🗑️</button>
+                    </div>
+                </div>
+            `).join('');
+
+            html += available.map(model => `
+                <div class="document-item model-cache-item not-cached">
+                    <div class="document-info">
+                        <div class="document-name">${this.escapeHtml(modelRegistry.getLabel(model.id))}</div>
+                        <div class="document-meta">
+                            <span>${typeLabels[model.type]}</span>
+                            <span>Not downloaded</span>
+                        </div>
+                    </div>
+                    <div class="download-controls">
+                        <button class="btn-delete-doc" data-action="download" data-model-id="${this.escapeHtml(model.id)}" title="Download for offline use">⬇️</button>
+                    </div>
+                </div>
+            `).join('');
+
+            list.innerHTML = html || '<div class="no-documents">No models cached yet</div>';
+
+            const estimate = await modelCache.getStorageEstimate();
+            if (this.elements.cacheUsage && estimate) {
+                this.elements.cacheUsage.textContent = `Storage used: ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)}`;
+            }
+        } catch (error) {
+            logger.error('Error loading model cache:', error);
+            list.innerHTML = '<div class="error-message">Failed to read the model cache</div>';
+        }
+    }
+
+    async handleModelCacheAction(modelId, action) {
+        const label = modelRegistry.getLabel(modelId);
+
+        if (action === 'verify') {
+            const progressModal = this.showProgressModal('Verifying Model');
+            progressModal.update(`Checking ${label}...`);
+
+            try {
+                const result = await modelCache.verifyModel(modelId);
+                progressModal.close();
+
+                const source = result.checkedAgainstHub ? 'against Hugging Face' : 'offline (required files only)';
+                if (result.complete) {
+                    this.showAlert(`${label} is complete (${result.dtypes.join(', ')}), checked ${source}.`, 'Model Verified');
+                } else {
+                    const problems = [
+                        ...result.missing.map(path => `Missing: ${path}`),
+                        ...result.mismatched.map(path => `Wrong size: ${path}`)
+                    ];
+                    this.showAlert(`${label} is incomplete, checked ${source}:\n\n${problems.join('\n')}\n\nDownload it again to repair it.`, 'Model Incomplete');
+                }
+            } catch (error) {
+                logger.error('Model verification failed:', error);
+                progressModal.close();
+                this.showAlert('Verification failed: ' + error.message, 'Error');
+            }
+        } else if (action === 'delete') {
+            const inUse = modelLoader.getCurrentModel('llm') === modelId || modelLoader.getCurrentModel('embedder') === modelId;
+            const message = inUse
+                ? `Delete the cached files for ${label}? It is currently loaded and keeps working until the page is reloaded, then it will be downloaded again.`
+                : `Delete the cached files for ${label}? It will be downloaded again the next time it is used.`;
+            const confirmed = await this.showConfirm(message, 'Delete Cached Model', { type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' });
+            if (!confirmed) return;
+
+            try {
+                await modelCache.deleteModel(modelId);
+                await this.loadModelCacheList();
+                this.showSuccess(`Deleted ${label} from the cache`);
+            } catch (error) {
+                logger.error('Failed to delete cached model:', error);
+                this.showAlert('Failed to delete model: ' + error.message, 'Error');
+            }
+        } else if (action === 'download') {
+            try {
+                // Progress shows up in the Downloads list; the cache list refreshes when it completes
+                await modelCache.predownload(modelId);
+                this.showSuccess(`${label} is available offline`);
+            } catch (error) {
+                if (error.name === 'QuotaExceededError') {
+                    this.showAlert(error.message, 'Not Enough Storage');
+                } else if (error.name !== 'AbortError') {
+                    logger.error('Pre-download failed:', error);
+                    this.showAlert(`Failed to download ${label}: ${error.message}`, 'Error');
+                }
+            }
+        }
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) {
+            return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+        }
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+
+    formatDuration(seconds) {
+        if (seconds === null || !isFinite(seconds)) {
+            return '--';
+        }
+        if (seconds >= 3600) {
+            return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+        }
+        if (seconds >= 60) {
+            return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+        }
+        return `${Math.round(seconds)}s`;
+    }
+
     setupResponsiveLayout() {
         const checkWidth = () => {
             // Remove the open class on resize to larger screens
@@ -246,7 +958,16 @@ class LLMWebApp {
             this.state.vectorStoreReady = true;
             await this.updateDocumentStats();
 
-            const backend = this.detectBackend();
+            // Run LLM inference off the main thread when the browser allows it
+            enableInferenceWorker();
+
+            // Tools run on this thread, next to the vector store they search
+            registerBuiltinTools();
+
+            // Other scripts on the page can use the loaded models (window.llmOnWeb)
+            installOpenAIApi();
+            // ...and same-origin fetch('/v1/...'), routed here by the service worker
+            serveLocalEndpoint();
 
             // Set up progress monitoring
             onProgress((event) => {
@@ -255,16 +976,24 @@ class LLMWebApp {
                     this.updateStatus('loading', `Loading models... ${progress}%`);
                 } else if (event.status === 'initiate') {
                     this.updateStatus('loading', `Downloading ${event.type}...`);
+                } else if (event.status === 'fallback') {
+                    this.updateStatus('loading', `${this.formatBackend(event)} failed, trying another configuration...`);
                 }
             });
 
+            // Imported models must be in the registry before the saved selection is applied
+            await this.registerLocalModels();
+            await this.restoreDownloads();
+
             const llmModel = this.elements.llmModelSelect.value;
+            this.state.llmModel = llmModel;
             const embeddingModel = this.elements.embeddingModelSelect.value;
+            this.state.embeddingModel = embeddingModel;
 
-            await this.loadModels(llmModel, embeddingModel, backend);
+            await this.loadModels(llmModel, embeddingModel);
 
             // Initialize embedder with the loaded pipeline
-            await initializeEmbedder(embeddingModel, { device: backend });
+            await initializeEmbedder(embeddingModel);
 
             // Initialize chat UI
             this.state.chatUI = await initializeChatUI(this.elements);
@@ -275,11 +1004,22 @@ class LLMWebApp {
                     this.state.chatUI.setRAGEnabled(this.state.ragEnabled);
                 }
                 this.state.chatUI.setRAGThreshold(this.state.ragThreshold);
+                this.state.chatUI.setToolsEnabled(this.state.toolsEnabled);
+                this.state.chatUI.setLogprobsEnabled(this.state.logprobsEnabled);
+                this.state.chatUI.setThinkingEnabled(this.state.thinkingEnabled);
+                // The restored chat may use a different preset
+                this.renderPromptPresets();
             }
 
+            await this.syncDraftModel();
+
             this.state.isReady = true;
             this.elements.sendBtn.disabled = false;
             this.updateStatus('ready', 'Ready');
+            this.loadModelCacheList();
+            this.updateDtypeHint('llm');
+            this.updateDtypeHint('embedder');
+            this.renderBenchmarkRecommendation();
 
             const welcomeMessage = this.elements.chatTranscript.querySelector('.welcome-message');
             if (welcomeMessage && this.state.messages.length === 0) {
@@ -288,7 +1028,13 @@ class LLMWebApp {
         } catch (error) {
             logger.error('Initialization error:', error);
             this.updateStatus('error', 'Failed to load models');
-            this.showError('Failed to initialize the app. Please refresh and try again.');
+            if (error.name === 'QuotaExceededError') {
+                this.showAlert(`${error.message} Free up space (for example by deleting imported models or other site data) and reload.`, 'Not Enough Storage');
+            } else if (error.name === 'AbortError') {
+                this.showError('Model download cancelled. Reload the page to start it again.');
+            } else {
+                this.showError('Failed to initialize the app. Please refresh and try again.');
+            }
         }
     }
 
@@ -299,22 +1045,217 @@ class LLMWebApp {
         return this.state.backend;
     }
 
-    async loadModels(llmModel, embeddingModel, backend) {
-        const device = backend;
+    async loadModels(llmModel, embeddingModel) {
+        try {
+            this.state.llmPipeline = await this.loadModelWithFallback('llm', llmModel);
+        } catch (error) {
+            if (!inferenceWorker.isActive() || error.name === 'QuotaExceededError' || error.name === 'AbortError') {
+                throw error;
+            }
+            // Module workers or worker-side WebGPU can be unavailable; retry on the main thread
+            logger.warn('LLM failed to load in the inference worker, retrying on the main thread:', error);
+            disableInferenceWorker();
+            this.state.llmPipeline = await this.loadModelWithFallback('llm', llmModel);
+        }
 
-        // Load LLM with proper quantization for Qwen2.5
-        this.state.llmPipeline = await loadLLM(llmModel, {
-            dtype: 'q4',
-            device
-        });
+        this.state.embeddingPipeline = await this.loadModelWithFallback('embedder', embeddingModel);
+    }
 
-        // Load embedder with fp32 for all-MiniLM
-        this.state.embeddingPipeline = await loadEmbedder(embeddingModel, {
-            dtype: 'fp32',
-            device
+    loadModelWithFallback(type, modelId) {
+        return loadWithFallback(type, modelId, {
+            // With 'auto' the device is left to the fallback chain and this device's profile
+            device: this.state.backend === 'auto' ? undefined : this.state.backend,
+            dtype: this.getModelDtype(modelId),
+            // Fetch weights through the download manager so they can be paused or cancelled
+            prepare: ({ dtype }) => ensureModelDownloaded(modelId, { dtype })
         });
     }
 
+    async switchLLM(modelId, options = {}) {
+        // `reload` re-creates the current model's pipeline, e.g. after a dtype change
+        const { reload = false, previousDtype } = options;
+        if (modelId === this.state.llmModel && !reload) {
+            return;
+        }
+
+        const previousModel = this.state.llmModel;
+
+        if (!this.state.isReady || isGenerating()) {
+            if (reload) {
+                this.setModelDtype(modelId, previousDtype);
+                this.saveSettings();
+            }
+            this.elements.llmModelSelect.value = previousModel;
+            this.populateDtypeSelect('llm');
+            this.showAlert('Please wait for the current model load or response to finish before switching models.', 'Model Busy');
+            return;
+        }
+
+        const label = modelRegistry.getLabel(modelId);
+        const action = reload ? `Reloading ${label} (${this.getModelDtype(modelId) || 'auto'})` : `Loading ${label}`;
+        this.state.isReady = false;
+        this.elements.sendBtn.disabled = true;
+        this.elements.llmModelSelect.disabled = true;
+        this.elements.llmDtypeSelect.disabled = true;
+        this.elements.statusLLM.textContent = `${action}...`;
+        this.updateStatus('loading', `${action}...`);
+
+        try {
+            // The cache belongs to the old model; free it before loading the new one
+            chatEngine.invalidateCache();
+            this.state.llmPipeline = await this.loadModelWithFallback('llm', modelId);
+            this.state.llmModel = modelId;
+            this.saveSettings();
+            this.updateStatus('ready', 'Ready');
+            this.showSuccess(reload
+                ? `Reloaded ${label} (${this.formatBackend(modelLoader.getCurrentConfig('llm'))})`
+                : `Switched to ${label}`);
+        } catch (error) {
+            logger.error('Model switch error:', error);
+            if (reload) {
+                this.setModelDtype(modelId, previousDtype);
+                this.saveSettings();
+            }
+            this.elements.llmModelSelect.value = previousModel;
+            this.populateDtypeSelect('llm');
+            if (error.name === 'QuotaExceededError') {
+                this.showAlert(error.message, 'Not Enough Storage');
+            } else if (error.name === 'AbortError') {
+                this.showError(`Download of ${label} cancelled. Restoring the previous model.`);
+            } else {
+                this.showError(`Failed to load ${label}. Restoring the previous model.`);
+            }
+
+            try {
+                this.state.llmPipeline = await this.loadModelWithFallback('llm', previousModel);
+                this.updateStatus('ready', 'Ready');
+            } catch (restoreError) {
+                logger.error('Model restore error:', restoreError);
+                this.state.llmPipeline = null;
+                this.elements.llmModelSelect.disabled = false;
+                this.elements.llmDtypeSelect.disabled = false;
+                this.updateStatus('error', 'Failed to load models');
+                return;
+            }
+        }
+
+        await this.syncDraftModel();
+
+        this.state.isReady = true;
+        this.elements.sendBtn.disabled = false;
+        this.elements.llmModelSelect.disabled = false;
+        this.elements.llmDtypeSelect.disabled = false;
+        this.elements.statusLLM.textContent = modelRegistry.getLabel(modelLoader.getCurrentModel('llm'));
+        this.updateDtypeHint('llm');
+    }
+
+    /**
+     * Load the current model's draft model when speculative decoding is on
+     * and the model runs on WASM, and unload it otherwise. A draft model that
+     * fails to load only turns speculation off.
+     */
+    async syncDraftModel() {
+        const hint = this.elements.speculativeHint;
+        const draftId = modelRegistry.getModel(this.state.llmModel)?.draftModel;
+        const onWasm = modelLoader.getCurrentConfig('llm')?.device === 'wasm';
+
+        if (!this.state.speculativeDecoding || !draftId || !onWasm) {
+            await modelLoader.unloadDraftModel();
+            if (hint) {
+                hint.textContent = !this.state.speculativeDecoding ? ''
+                    : !draftId ? `No draft model for ${modelRegistry.getLabel(this.state.llmModel)}`
+                        : this.state.backend === 'auto'
+                            ? 'Only used on the WASM backend; Auto picked WebGPU here, so set Backend to WASM to use it'
+                            : 'Only used on the WASM backend; set Backend to WASM to use it';
+            }
+            return;
+        }
+
+        const label = modelRegistry.getLabel(draftId);
+        try {
+            if (hint) {
+                hint.textContent = `Loading draft model ${label}...`;
+            }
+            await ensureModelDownloaded(draftId, { dtype: modelRegistry.getModel(draftId)?.defaultDtype });
+            await modelLoader.loadDraftModel(draftId);
+            if (hint) {
+                hint.textContent = `Drafting with ${label}`;
+            }
+        } catch (error) {
+            logger.warn('Draft model failed to load, generating without speculative decoding:', error);
+            if (hint) {
+                hint.textContent = `${label} failed to load`;
+            }
+        }
+    }
+
+    async reloadEmbedder(previousDtype) {
+        const modelId = this.state.embeddingModel;
+
+        if (!this.state.isReady || isGenerating()) {
+            this.setModelDtype(modelId, previousDtype);
+            this.saveSettings();
+            this.populateDtypeSelect('embedder');
+            this.showAlert('Please wait for the current model load or response to finish before changing the embedding model.', 'Model Busy');
+            return;
+        }
+
+        const label = modelRegistry.getLabel(modelId);
+        this.state.isReady = false;
+        this.elements.sendBtn.disabled = true;
+        this.elements.embeddingDtypeSelect.disabled = true;
+        this.updateStatus('loading', `Reloading ${label}...`);
+
+        try {
+            this.state.embeddingPipeline = await this.loadModelWithFallback('embedder', modelId);
+            await initializeEmbedder(modelId);
+            this.showSuccess(`Reloaded ${label} (${this.formatBackend(modelLoader.getCurrentConfig('embedder'))})`);
+        } catch (error) {
+            // The previous pipeline stays loaded when the new one fails
+            logger.error('Embedder reload error:', error);
+            this.setModelDtype(modelId, previousDtype);
+            this.saveSettings();
+            this.populateDtypeSelect('embedder');
+            this.showError(`Failed to reload ${label}. Keeping the current configuration.`);
+        }
+
+        this.state.isReady = true;
+        this.elements.sendBtn.disabled = false;
+        this.elements.embeddingDtypeSelect.disabled = false;
+        this.updateStatus('ready', 'Ready');
+        this.updateDtypeHint('embedder');
+    }
+
+    formatBackend({ device, dtype }) {
+        return `${device === 'webgpu' ? 'WebGPU' : 'WASM'} · ${dtype}`;
+    }
+
+    describeLoadReport(report) {
+        if (!report) {
+            return '';
+        }
+
+        if (report.attempts.length > 0) {
+            const reasons = {
+                'out-of-memory': 'out of memory',
+                'adapter': 'GPU adapter error',
+                'backend': 'backend unavailable',
+                'missing-weights': 'weights not published'
+            };
+            const failures = report.attempts
+                .map(attempt => `${this.formatBackend(attempt)} (${reasons[attempt.kind] || 'failed'})`)
+                .join(', ');
+            return `Fell back to ${this.formatBackend(report)} after ${failures} failed. This choice is remembered for this device.`;
+        }
+        if (report.source === 'profile') {
+            return `${this.formatBackend(report)} loaded successfully on this device before, so it was tried first.`;
+        }
+        if (this.state.backend !== 'auto') {
+            return `${this.formatBackend(report)} as selected in settings, with this model's default quantization.`;
+        }
+        return `${this.formatBackend(report)} is this model's default for this browser.`;
+    }
+
     updateStatus(status, text) {
         this.elements.statusPill.setAttribute('data-status', status);
         this.elements.statusText.textContent = text;
@@ -393,10 +1334,18 @@ class LLMWebApp {
 
     async updateStatusDetails() {
         // Update model names
-        this.elements.statusLLM.textContent = this.elements.llmModelSelect.value || 'Not loaded';
+        const currentLLM = modelLoader.getCurrentModel('llm');
+        this.elements.statusLLM.textContent = currentLLM ? modelRegistry.getLabel(currentLLM) : 'Not loaded';
         this.elements.statusEmbedding.textContent = this.elements.embeddingModelSelect.value || 'Not loaded';
         this.elements.statusTTS.textContent = this.elements.ttsModelSelect.value || 'Not loaded';
 
+        // Update backend choice and why it was made
+        const llmConfig = modelLoader.getCurrentConfig('llm');
+        const embeddingConfig = modelLoader.getCurrentConfig('embedder');
+        this.elements.statusLLMBackend.textContent = llmConfig ? this.formatBackend(llmConfig) : 'Not loaded';
+        this.elements.statusEmbeddingBackend.textContent = embeddingConfig ? this.formatBackend(embeddingConfig) : 'Not loaded';
+        this.elements.statusBackendReason.textContent = this.describeLoadReport(modelLoader.getLoadReport('llm'));
+
         // Update generation parameters
         this.elements.statusTemp.textContent = this.state.temperature.toFixed(1);
         this.elements.statusTopP.textContent = this.state.topP.toFixed(2);
@@ -437,7 +1386,10 @@ class LLMWebApp {
         } catch (error) {
             logger.error('Generation error:', error);
         } finally {
-            this.updateStatus('ready', 'Ready');
+            // Prompts queued behind this one may still be running
+            if (!this.state.chatUI?.isBusy()) {
+                this.updateStatus('ready', 'Ready');
+            }
         }
     }
 
@@ -583,14 +1535,10 @@ class LLMWebApp {
 
         this.updateStatus('generating', 'Warming up...');
         try {
-            await this.state.llmPipeline([
-                { role: 'system', content: 'You are a helpful assistant.' },
-                { role: 'user', content: 'Say hello' }
-            ], {
-                max_new_tokens: 10,
-                temperature: 1.0,
-                do_sample: true
-            });
+            const warmedUp = await chatEngine.warmup('Say hello');
+            if (!warmedUp) {
+                throw new Error('Warmup returned no result');
+            }
             this.updateStatus('ready', 'Ready');
             this.showAlert('Model warmed up successfully!', 'Success');
         } catch (error) {
@@ -599,6 +1547,125 @@ class LLMWebApp {
         }
     }
 
+    async runBenchmark() {
+        if (!this.state.isReady || isGenerating()) {
+            this.showAlert('Please wait for the current model load or response to finish before running the benchmark.', 'Model Busy');
+            return;
+        }
+
+        const modelId = this.state.llmModel;
+        const label = modelRegistry.getLabel(modelId);
+        const configurations = deviceBenchmark.getConfigurations(modelId);
+        const list = configurations.map(config => `• ${this.formatBackend(config)}`).join('\n');
+
+        const confirmed = await this.showConfirm(
+            `Benchmark ${label} on this device with:\n\n${list}\n\nEach configuration loads the model (downloading weights that aren't cached yet) and generates a short fixed response. This can take a few minutes.`,
+            'Run Benchmark',
+            { confirmText: 'Run', cancelText: 'Cancel' }
+        );
+        if (!confirmed) return;
+
+        const progressModal = this.showProgressModal('Running Benchmark', {
+            onCancel: () => {
+                deviceBenchmark.cancel();
+                progressModal.update('Stopping after the current configuration...');
+            }
+        });
+        this.state.isReady = false;
+        this.elements.sendBtn.disabled = true;
+        this.updateStatus('loading', 'Benchmarking...');
+
+        try {
+            const results = await deviceBenchmark.run(modelId, {
+                configurations,
+                prepare: ({ dtype }) => ensureModelDownloaded(modelId, { dtype }),
+                onProgress: ({ index, total, config, result }) => {
+                    if (!result) {
+                        progressModal.update(`Testing ${this.formatBackend(config)} (${index + 1}/${total})...`);
+                    }
+                }
+            });
+
+            progressModal.close();
+
+            const lines = results.map(result => result.error
+                ? `${this.formatBackend(result)}: failed (${result.error})`
+                : `${this.formatBackend(result)}: ${result.tokensPerSecond.toFixed(1)} tok/s, first token ${Math.round(result.timeToFirstToken)} ms, prefill ${Math.round(result.prefillTokensPerSecond)} tok/s`);
+            this.showAlert(`${label}\n\n${lines.join('\n')}`, 'Benchmark Results');
+        } catch (error) {
+            logger.error('Benchmark error:', error);
+            progressModal.close();
+            this.showAlert('Benchmark failed: ' + error.message, 'Error');
+        }
+
+        // The benchmark restores the previous configuration itself; load normally if that failed
+        if (modelLoader.getCurrentModel('llm') !== modelId) {
+            try {
+                this.state.llmPipeline = await this.loadModelWithFallback('llm', modelId);
+            } catch (error) {
+                logger.error('Failed to reload model after benchmark:', error);
+                this.updateStatus('error', 'Failed to load models');
+                return;
+            }
+        }
+
+        this.state.isReady = true;
+        this.elements.sendBtn.disabled = false;
+        this.updateStatus('ready', 'Ready');
+        this.renderBenchmarkRecommendation();
+    }
+
+    async renderBenchmarkRecommendation() {
+        const container = this.elements.benchmarkRecommendation;
+        if (!container) return;
+
+        try {
+            const recommendation = await deviceBenchmark.getRecommendation();
+            this.state.benchmarkRecommendation = recommendation;
+            if (!recommendation) {
+                container.hidden = true;
+                return;
+            }
+
+            const label = modelRegistry.getLabel(recommendation.modelId);
+            const speed = `${recommendation.tokensPerSecond.toFixed(1)} tok/s, first token in ${Math.round(recommendation.timeToFirstToken)} ms`;
+            const note = recommendation.meetsTarget ? '' : ` (no tested model reached ${recommendation.targetTokensPerSecond} tok/s)`;
+            this.elements.benchmarkRecommendationText.textContent =
+                `Recommended for this device: ${label} on ${this.formatBackend(recommendation)} — ${speed}${note}`;
+
+            const current = modelLoader.getCurrentConfig('llm');
+            this.elements.applyRecommendationBtn.hidden = modelLoader.getCurrentModel('llm') === recommendation.modelId &&
+                current?.device === recommendation.device && current?.dtype === recommendation.dtype;
+            container.hidden = false;
+        } catch (error) {
+            logger.warn('Failed to load benchmark recommendation:', error);
+            container.hidden = true;
+        }
+    }
+
+    async applyBenchmarkRecommendation() {
+        const recommendation = this.state.benchmarkRecommendation;
+        if (!recommendation) return;
+
+        const { modelId, device, dtype } = recommendation;
+        const previousDtype = this.getModelDtype(modelId);
+
+        this.state.backend = device;
+        this.elements.backendSelect.value = device;
+        this.setModelDtype(modelId, dtype);
+        this.saveSettings();
+
+        this.elements.llmModelSelect.value = modelId;
+        this.populateDtypeSelect('llm');
+        if (modelId === this.state.llmModel) {
+            await this.switchLLM(modelId, { reload: true, previousDtype });
+        } else {
+            await this.switchLLM(modelId);
+        }
+
+        this.renderBenchmarkRecommendation();
+    }
+
     async clearCache() {
         const confirmed = await this.showConfirm('This will clear all cached models. You will need to download them again. Continue?', 'Clear Cache', { type: 'danger', confirmText: 'Clear Cache', cancelText: 'Cancel' });
         if (!confirmed) {
@@ -606,16 +1673,9 @@ class LLMWebApp {
         }
 
         try {
-            if ('caches' in window) {
-                const cacheNames = await caches.keys();
-                await Promise.all(cacheNames.map(name => caches.delete(name)));
-            }
-
-            const databases = await indexedDB.databases();
-            for (const db of databases) {
-                if (db.name && db.name.includes('transformers')) {
-                    indexedDB.deleteDatabase(db.name);
-                }
+            const cleared = await modelLoader.clearCache();
+            if (!cleared) {
+                throw new Error('Model cache could not be cleared');
             }
 
             await this.showAlert('Cache cleared! Please refresh the page.', 'Success');
@@ -681,6 +1741,8 @@ class LLMWebApp {
             }
 
             progressModal.close();
+            // Cached prompts may carry context from the old documents
+            chatEngine.invalidateCache();
             await this.updateDocumentStats();
 
             // Show detailed results
@@ -714,8 +1776,23 @@ class LLMWebApp {
             temperature: this.state.temperature,
             topP: this.state.topP,
             maxTokens: this.state.maxTokens,
+            topK: this.state.topK,
+            minP: this.state.minP,
+            repetitionPenalty: this.state.repetitionPenalty,
+            presencePenalty: this.state.presencePenalty,
+            frequencyPenalty: this.state.frequencyPenalty,
+            noRepeatNgramSize: this.state.noRepeatNgramSize,
+            deterministic: this.state.deterministic,
+            seed: this.state.seed,
             ragEnabled: this.state.ragEnabled,
-            ragThreshold: this.state.ragThreshold
+            ragThreshold: this.state.ragThreshold,
+            toolsEnabled: this.state.toolsEnabled,
+            logprobsEnabled: this.state.logprobsEnabled,
+            speculativeDecoding: this.state.speculativeDecoding,
+            thinkingEnabled: this.state.thinkingEnabled,
+            llmModel: this.state.llmModel,
+            embeddingModel: this.state.embeddingModel,
+            modelDtypes: this.state.modelDtypes
         };
         localStorage.setItem('llm-web-settings', JSON.stringify(settings));
     }
@@ -727,12 +1804,43 @@ class LLMWebApp {
             Object.assign(this.state, settings);
 
             this.elements.backendSelect.value = this.state.backend;
+            if (this.state.llmModel && modelRegistry.getModel(this.state.llmModel)) {
+                this.elements.llmModelSelect.value = this.state.llmModel;
+            }
+            if (this.state.embeddingModel && modelRegistry.getModel(this.state.embeddingModel)) {
+                this.elements.embeddingModelSelect.value = this.state.embeddingModel;
+            }
+            this.populateDtypeSelect('llm');
+            this.populateDtypeSelect('embedder');
             this.elements.temperatureSlider.value = this.state.temperature;
             this.elements.temperatureValue.textContent = this.state.temperature;
             this.elements.topPSlider.value = this.state.topP;
             this.elements.topPValue.textContent = this.state.topP;
             this.elements.maxTokensSlider.value = this.state.maxTokens;
             this.elements.maxTokensValue.textContent = this.state.maxTokens;
+            SAMPLING_SLIDERS.forEach(([slider, label, key]) => {
+                if (this.elements[slider]) {
+                    this.elements[slider].value = this.state[key];
+                    this.elements[label].textContent = this.state[key];
+                }
+            });
+            if (this.elements.deterministicToggle) {
+                this.elements.deterministicToggle.checked = this.state.deterministic;
+                this.elements.seedInput.value = this.state.seed;
+                this.elements.seedContainer.style.display = this.state.deterministic ? 'block' : 'none';
+            }
+            if (this.elements.toolsToggle) {
+                this.elements.toolsToggle.checked = this.state.toolsEnabled;
+            }
+            if (this.elements.logprobsToggle) {
+                this.elements.logprobsToggle.checked = this.state.logprobsEnabled;
+            }
+            if (this.elements.speculativeToggle) {
+                this.elements.speculativeToggle.checked = this.state.speculativeDecoding;
+            }
+            if (this.elements.thinkingToggle) {
+                this.elements.thinkingToggle.checked = this.state.thinkingEnabled;
+            }
             this.elements.ragToggle.checked = this.state.ragEnabled;
             if (this.elements.ragThresholdSlider) {
                 this.elements.ragThresholdSlider.value = this.state.ragThreshold || 0.2;
@@ -742,6 +1850,72 @@ class LLMWebApp {
         }
     }
 
+    /**
+     * Fill the preset picker and editor with the current chat's preset.
+     */
+    renderPromptPresets() {
+        const select = this.elements.promptPresetSelect;
+        if (!select) {
+            return;
+        }
+
+        const preset = chatUI.getPreset();
+        select.innerHTML = '';
+        for (const { id, name } of promptPresets.getAll()) {
+            select.add(new Option(name, id, false, id === preset.id));
+        }
+
+        this.elements.promptPresetName.value = preset.name;
+        this.elements.systemPromptInput.value = preset.systemPrompt;
+        this.elements.ragPromptInput.value = preset.ragPrompt;
+        // Default can only be copied
+        this.elements.promptPresetName.disabled = Boolean(preset.builtin);
+        this.elements.savePresetBtn.disabled = Boolean(preset.builtin);
+        this.elements.deletePresetBtn.disabled = Boolean(preset.builtin);
+    }
+
+    async savePromptPreset(asNew) {
+        const current = chatUI.getPreset();
+        let name = this.elements.promptPresetName.value.trim();
+        if (asNew && (current.builtin || name === current.name)) {
+            name = `${name || current.name} (copy)`;
+        }
+
+        try {
+            const preset = promptPresets.save({
+                id: asNew ? null : current.id,
+                name,
+                systemPrompt: this.elements.systemPromptInput.value,
+                ragPrompt: this.elements.ragPromptInput.value
+            });
+            await chatUI.setPreset(preset.id);
+            this.renderPromptPresets();
+            this.showSuccess(`Saved preset "${preset.name}"`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async deletePromptPreset() {
+        const preset = chatUI.getPreset();
+        if (preset.builtin) {
+            return;
+        }
+
+        const confirmed = await this.showConfirm(
+            `Delete the preset "${preset.name}"? Chats that use it switch to Default.`,
+            'Delete Preset',
+            { type: 'danger', confirmText: 'Delete', cancelText: 'Cancel' }
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        promptPresets.delete(preset.id);
+        await chatUI.setPreset(promptPresets.getDefault().id);
+        this.renderPromptPresets();
+    }
+
     saveChat() {
         localStorage.setItem('llm-web-chat', JSON.stringify(this.state.messages));
     }
@@ -780,7 +1954,11 @@ class LLMWebApp {
         setTimeout(() => errorDiv.remove(), 5000);
     }
 
-    showProgressModal(title) {
+    /**
+     * A blocking progress dialog. With `onCancel`, it gets a Cancel button that
+     * calls it once; the caller still closes the dialog when its work stops.
+     */
+    showProgressModal(title, { onCancel } = {}) {
         const modal = document.createElement('div');
         modal.style.cssText = `
             position: fixed;
@@ -804,6 +1982,23 @@ class LLMWebApp {
         messageEl.textContent = 'Processing...';
         modal.appendChild(messageEl);
 
+        if (onCancel) {
+            const cancelBtn = document.createElement('button');
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.className = 'btn btn-secondary';
+            cancelBtn.style.cssText = `
+                min-width: 80px;
+                padding: 8px 16px;
+                margin-top: 15px;
+            `;
+            cancelBtn.addEventListener('click', () => {
+                cancelBtn.disabled = true;
+                cancelBtn.textContent = 'Cancelling...';
+                onCancel();
+            });
+            modal.appendChild(cancelBtn);
+        }
+
         const backdrop = document.createElement('div');
         backdrop.style.cssText = `
             position: fixed;
@@ -1180,6 +2375,7 @@ class LLMWebApp {
         try {
             progressModal.update('Removing document and embeddings...');
             const result = await deleteDocument(docId);
+            chatEngine.invalidateCache();
 
             progressModal.close();
 
@@ -1205,6 +2401,7 @@ class LLMWebApp {
         try {
             progressModal.update('Removing all documents and embeddings...');
             await clearAllDocuments();
+            chatEngine.invalidateCache();
 
             progressModal.close();
 
@@ -9,7 +9,8 @@ class Embedder {
     }
 
     async initialize(modelId = 'Xenova/all-MiniLM-L6-v2', options = {}) {
-        if (this.pipeline && this.modelId === modelId) {
+        // Re-initialize when the loader has swapped the pipeline (e.g. a new dtype)
+        if (this.pipeline && this.modelId === modelId && this.pipeline === modelLoader.getFeatureExtractionPipeline()) {
             return this.pipeline;
         }
 
@@ -1,5 +1,6 @@
 import { IDBHelper } from '../utils/idb.js';
 import { embedder } from './embedder.js';
+import { tokenCounter } from '../llm/token-counter.js';
 import logger from '../utils/logger.js';
 
 class VectorStore {
@@ -172,8 +173,15 @@ class VectorStore {
         const chunks = [];
         const words = text.split(/\s+/);
 
-        // Approximate token count (rough estimate: 1 token ≈ 0.75 words)
-        const approximateTokens = (text) => Math.ceil(text.split(/\s+/).length / 0.75);
+        // Chunks are sized for the embedder, so count with its tokenizer.
+        // Words repeat a lot in a document; remember their counts.
+        const wordCounts = new Map();
+        const countWordTokens = (word) => {
+            if (!wordCounts.has(word)) {
+                wordCounts.set(word, tokenCounter.count(word, 'embedder'));
+            }
+            return wordCounts.get(word);
+        };
 
         let currentChunk = [];
         let currentTokenCount = 0;
@@ -181,7 +189,7 @@ class VectorStore {
 
         for (let i = 0; i < words.length; i++) {
             const word = words[i];
-            const wordTokens = approximateTokens(word);
+            const wordTokens = countWordTokens(word);
 
             if (currentTokenCount + wordTokens > chunkSize && currentChunk.length > 0) {
                 // Save current chunk
@@ -197,7 +205,7 @@ class VectorStore {
                 // Start new chunk with overlap
                 const overlapWords = Math.floor(currentChunk.length * (overlap / chunkSize));
                 currentChunk = currentChunk.slice(-overlapWords);
-                currentTokenCount = approximateTokens(currentChunk.join(' '));
+                currentTokenCount = currentChunk.reduce((sum, chunkWord) => sum + countWordTokens(chunkWord), 0);
             }
 
             currentChunk.push(word);
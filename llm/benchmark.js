@@ -0,0 +1,236 @@
+import { IDBHelper } from '../utils/idb.js';
+import { modelLoader } from './loader.js';
+import { chatEngine } from './chat-engine.js';
+import { modelRegistry } from './models.js';
+import { deviceProfile } from './device-profile.js';
+import logger from '../utils/logger.js';
+
+// Measures how fast this device runs a model under each backend/dtype
+// configuration: a fixed prompt is generated greedily, and prefill speed,
+// decode tokens/sec and time-to-first-token are read from ChatEngine metrics.
+// Results are kept per GPU adapter so recommendations follow the hardware.
+
+const BENCHMARK_PROMPT = 'Summarize the following passage in three sentences.\n\n' +
+    'Web browsers have become capable runtimes for machine learning. WebAssembly lets ' +
+    'compiled code run at near-native speed on the CPU, while WebGPU exposes the graphics ' +
+    'card for general-purpose computation. Together they allow language models to run ' +
+    'entirely on the user\'s device, which keeps conversations private and removes the need ' +
+    'for a server. The trade-off is that performance depends heavily on the hardware: a ' +
+    'laptop with a recent GPU can generate dozens of tokens per second, while an older phone ' +
+    'may manage only a few. Choosing the right model size and numeric precision for each ' +
+    'device is therefore essential for a responsive experience.';
+const BENCHMARK_PARAMS = {
+    maxNewTokens: 64,
+    temperature: 0
+};
+// Decode speed that keeps up with comfortable reading; larger models are
+// recommended only when they reach it
+const TARGET_TOKENS_PER_SECOND = 10;
+
+class DeviceBenchmark {
+    constructor() {
+        this.dbName = 'llm-web-benchmarks';
+        this.version = 1;
+        this.helper = null;
+        this.storeName = 'results';
+        this.isRunning = false;
+        this.cancelled = false;
+    }
+
+    async initialize() {
+        if (this.helper) {
+            return true;
+        }
+
+        this.helper = new IDBHelper(this.dbName, this.version);
+
+        await this.helper.open((db) => {
+            if (!db.objectStoreNames.contains(this.storeName)) {
+                db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Backend/dtype combinations worth measuring for a model: the same ones the
+     * loader's fallback chain would consider on this browser.
+     */
+    getConfigurations(modelId) {
+        return modelLoader.buildFallbackChain('llm', modelId)
+            .map(({ device, dtype }) => ({ device, dtype }));
+    }
+
+    /**
+     * Benchmark `modelId` under each configuration, then reload the model the
+     * way it was loaded before. `onProgress({ index, total, config, result })`
+     * fires before and after each configuration; `prepare(config)` runs before
+     * each load (e.g. to fetch weights).
+     */
+    async run(modelId, options = {}) {
+        const { configurations = this.getConfigurations(modelId), onProgress, prepare } = options;
+
+        if (this.isRunning) {
+            throw new Error('Benchmark already running');
+        }
+
+        await this.initialize();
+        this.isRunning = true;
+        this.cancelled = false;
+
+        const previousModel = modelLoader.getCurrentModel('llm');
+        const previousConfig = modelLoader.getCurrentConfig('llm');
+        const adapter = await deviceProfile.getAdapterSignature();
+        const runId = Date.now();
+        const results = [];
+        // Keep API requests off the model while it is swapped out
+        const release = await chatEngine.acquire();
+
+        try {
+            for (let i = 0; i < configurations.length; i++) {
+                if (this.cancelled) break;
+
+                const config = configurations[i];
+                onProgress?.({ index: i, total: configurations.length, config });
+
+                const result = await this.measure(modelId, config, prepare);
+                Object.assign(result, { runId, adapter, createdAt: Date.now() });
+                result.id = await this.helper.add(this.storeName, result);
+                results.push(result);
+
+                onProgress?.({ index: i, total: configurations.length, config, result });
+            }
+        } finally {
+            this.isRunning = false;
+
+            if (previousModel && previousConfig) {
+                try {
+                    await modelLoader.loadLLM(previousModel, previousConfig);
+                } catch (error) {
+                    // Callers can tell from modelLoader.getCurrentModel('llm')
+                    logger.error('[Benchmark] Failed to restore the previous model:', error);
+                }
+            }
+            release();
+        }
+
+        return results;
+    }
+
+    async measure(modelId, { device, dtype }, prepare) {
+        const result = { modelId, device, dtype };
+
+        try {
+            await prepare?.({ device, dtype });
+
+            const loadStart = performance.now();
+            await modelLoader.loadLLM(modelId, { device, dtype });
+            result.loadTime = performance.now() - loadStart;
+
+            // First inference compiles shaders / allocates buffers; keep it out of the numbers
+            await chatEngine.warmup();
+
+            const stats = await chatEngine.generate(BENCHMARK_PROMPT, BENCHMARK_PARAMS);
+            const metrics = chatEngine.getMetrics();
+
+            Object.assign(result, {
+                tokens: stats.tokens,
+                totalTime: metrics.generationTime,
+                timeToFirstToken: metrics.timeToFirstToken,
+                promptTokens: metrics.promptTokens,
+                prefillTokensPerSecond: metrics.prefillTokensPerSecond,
+                tokensPerSecond: metrics.tokensPerSecond
+            });
+
+            logger.log(`[Benchmark] ${modelId} ${device}/${dtype}: ${metrics.tokensPerSecond.toFixed(1)} tok/s, TTFT ${metrics.timeToFirstToken.toFixed(0)} ms`);
+        } catch (error) {
+            logger.warn(`[Benchmark] ${modelId} ${device}/${dtype} failed:`, error);
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    cancel() {
+        // Stops after the configuration currently being measured
+        this.cancelled = true;
+    }
+
+    async getResults() {
+        await this.initialize();
+        const adapter = await deviceProfile.getAdapterSignature();
+        const results = await this.helper.getAll(this.storeName);
+        return results.filter(result => result.adapter === adapter);
+    }
+
+    async clearResults() {
+        await this.initialize();
+        await this.helper.clear(this.storeName);
+    }
+
+    /**
+     * Pick a model and configuration from stored results on this device: the
+     * largest model whose best configuration decodes at reading speed, or the
+     * fastest one measured when none does.
+     */
+    async getRecommendation() {
+        const results = (await this.getResults()).filter(result => !result.error && result.tokensPerSecond > 0);
+        if (results.length === 0) {
+            return null;
+        }
+
+        // Latest measurement per model/configuration, then the fastest configuration per model
+        const latest = new Map();
+        results.forEach(result => {
+            const key = `${result.modelId}|${result.device}|${result.dtype}`;
+            if (!latest.has(key) || latest.get(key).createdAt < result.createdAt) {
+                latest.set(key, result);
+            }
+        });
+
+        const bestPerModel = new Map();
+        latest.forEach(result => {
+            const best = bestPerModel.get(result.modelId);
+            if (!best || result.tokensPerSecond > best.tokensPerSecond) {
+                bestPerModel.set(result.modelId, result);
+            }
+        });
+
+        const candidates = Array.from(bestPerModel.values())
+            .filter(result => modelRegistry.getModel(result.modelId));
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const fastEnough = candidates.filter(result => result.tokensPerSecond >= TARGET_TOKENS_PER_SECOND);
+        const pick = fastEnough.length > 0
+            ? fastEnough.sort((a, b) => (modelRegistry.getParamCount(b.modelId) || 0) - (modelRegistry.getParamCount(a.modelId) || 0))[0]
+            : candidates.sort((a, b) => b.tokensPerSecond - a.tokensPerSecond)[0];
+
+        return {
+            modelId: pick.modelId,
+            device: pick.device,
+            dtype: pick.dtype,
+            tokensPerSecond: pick.tokensPerSecond,
+            timeToFirstToken: pick.timeToFirstToken,
+            prefillTokensPerSecond: pick.prefillTokensPerSecond,
+            meetsTarget: pick.tokensPerSecond >= TARGET_TOKENS_PER_SECOND,
+            targetTokensPerSecond: TARGET_TOKENS_PER_SECOND,
+            measuredAt: pick.createdAt
+        };
+    }
+}
+
+// Create singleton instance
+const deviceBenchmark = new DeviceBenchmark();
+
+export { deviceBenchmark, DeviceBenchmark };
+
+export async function runBenchmark(modelId, options) {
+    return deviceBenchmark.run(modelId, options);
+}
+
+export async function getBenchmarkRecommendation() {
+    return deviceBenchmark.getRecommendation();
+}
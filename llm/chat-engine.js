@@ -1,30 +1,92 @@
-import { TextStreamer } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.3';
+import { TextStreamer, InterruptableStoppingCriteria } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.3';
 import { modelLoader } from './loader.js';
+import { createJsonSchemaProcessor } from './json-constraint.js';
+import { createSamplingProcessor } from './sampling.js';
+import { LogprobsRecorder } from './logprobs.js';
+import { speculativeGenerate, isTokenizerCompatible } from './speculative.js';
+import { ReasoningSplitter, splitReasoning, endsInReasoning, getSkipReasoningSuffix } from './reasoning.js';
+import { toolRegistry } from '../tools/registry.js';
 import logger from '../utils/logger.js';
 
 class ChatEngine {
     constructor() {
         this.abortController = null;
         this.ownAbortController = false;
+        this.stoppingCriteria = null;
+        this.stopReason = null;
         this.isGenerating = false;
+        this.worker = null;
+        this.activeRequestId = null;
         this.stopSequences = ['</s>', '\n\nUser:', '\n\nHuman:', '[END]'];
+        // Generate/execute rounds before the model must answer without tools
+        this.maxToolRounds = 4;
+        // past_key_values of the last generation and the token ids they cover,
+        // reused for the prefix the next prompt shares with those ids
+        this.kvCache = null;
+        // Settles when the last caller in line for the model releases it
+        this.turns = Promise.resolve();
+        // Whether the loaded draft model can speculate for the main one, per pair
+        this.draftCheck = null;
+        // Last plain decode speed per main model, the baseline for speculative speedup
+        this.plainDecodeSpeed = null;
         this.defaultSystemPrompt = 'You are a helpful, factual assistant running locally in the user\'s browser. Provide plain text responses suitable for text-to-speech conversion. Use simple punctuation and clear sentence structure.';
         this.metrics = {
             tokensGenerated: 0,
             generationTime: 0,
-            timeToFirstToken: 0
+            timeToFirstToken: 0,
+            promptTokens: 0,
+            // Prompt tokens processed per second before the first output token
+            prefillTokensPerSecond: 0,
+            // Decode speed, excluding the prefill
+            tokensPerSecond: 0,
+            // Whether the last prompt reused the previous generation's KV cache,
+            // and how many of its tokens were skipped in the prefill
+            cacheHit: false,
+            cachedTokens: 0,
+            // Whether the last generation used speculative decoding, the share of
+            // draft tokens the main model accepted, tokens gained per main-model
+            // pass, and decode speed relative to plain decoding with the same
+            // model (null until that has been measured)
+            speculative: false,
+            draftAcceptanceRate: 0,
+            tokensPerStep: 0,
+            speculativeSpeedup: null
         };
     }
 
+    useWorker(workerClient) {
+        this.worker = workerClient;
+    }
+
     async generateStream(options = {}) {
+        if (this.worker) {
+            return this.generateStreamInWorker(options);
+        }
+
         const {
             messages,
             params = {},
             onToken,
+            // Reasoning models: called with each piece of the think block, which onToken doesn't see
+            onReasoning,
             onDone,
             onError,
             signal,
-            systemPrompt = this.defaultSystemPrompt
+            systemPrompt = this.defaultSystemPrompt,
+            // JSON Schema (or true for any JSON) to constrain the output to
+            jsonSchema = null,
+            // Tool definitions (see ToolRegistry.getDefinitions) to offer the model
+            tools = null,
+            // Report each token's log probability and its top alternatives
+            logprobs = false,
+            topLogprobs = 5,
+            // Text the assistant reply already starts with; only the continuation is generated
+            assistantPrefix = '',
+            // Reasoning models: let the model think before answering
+            thinking = true,
+            // Reuse and keep the KV cache; off for side prompts (summaries)
+            // that would otherwise evict the conversation's
+            kvCache = true
         } = options;
 
         if (this.isGenerating) {
@@ -37,11 +99,15 @@ class ChatEngine {
         }
 
         this.isGenerating = true;
+        this.stopReason = null;
+        // Interrupts the decoding loop itself, not just the streamed output
+        this.stoppingCriteria = new InterruptableStoppingCriteria();
         // Track whether we created the AbortController or it was provided externally
         this.ownAbortController = !signal;
         if (signal) {
             // External signal provided, wrap it
             this.abortController = { signal };
+            signal.addEventListener('abort', () => this.stoppingCriteria?.interrupt(), { once: true });
         } else {
             // Create our own AbortController
             this.abortController = new AbortController();
@@ -51,23 +117,95 @@ class ChatEngine {
         let firstTokenTime = null;
         let generatedText = '';
         let tokenCount = 0;
+        // Exact token count and last token, to tell an EOS from the token limit
+        let generatedTokens = 0;
+        let lastTokenId = null;
+        // Time from the start until the think block closed
+        let reasoningTime = null;
 
-        const formattedMessages = this.formatMessages(messages, systemPrompt);
+        const jsonMode = Boolean(jsonSchema);
+        const formattedMessages = this.formatMessages(
+            messages,
+            jsonMode ? this.addSchemaInstructions(systemPrompt, jsonSchema) : systemPrompt
+        );
+        // Tool prompts are rendered here, with the tools passed to the chat template
+        const prompt = tools?.length
+            ? this.renderToolPrompt(pipeline.tokenizer, messages, systemPrompt, tools)
+            : formattedMessages;
+        // Tokenized here rather than by the pipeline, so the prompt can be
+        // matched against the KV cache
+        let promptText = typeof prompt === 'string'
+            ? prompt
+            : pipeline.tokenizer.apply_chat_template(prompt, { tokenize: false, add_generation_prompt: true });
+        // Reasoning models answer without thinking when it's off, for JSON
+        // (the grammar applies from the first token) and when continuing an answer
+        let splitter = null;
+        if (this.isReasoningModel()) {
+            if (!thinking || jsonMode || assistantPrefix) {
+                promptText += getSkipReasoningSuffix(promptText);
+            } else {
+                splitter = new ReasoningSplitter(endsInReasoning(promptText));
+            }
+        }
+        if (assistantPrefix) {
+            promptText = this.renderContinuationPrompt(pipeline.tokenizer, promptText, assistantPrefix);
+        }
+        // The chat template already added the special tokens
+        const inputs = pipeline.tokenizer(promptText, { add_special_tokens: false });
+        const inputIds = Array.from(inputs.input_ids.data, Number);
+        const promptTokens = inputIds.length;
+        this.metrics.timeToFirstToken = 0;
 
         const generationParams = {
             max_new_tokens: params.maxNewTokens || 256,
             temperature: params.temperature ?? 1.0,
             top_p: params.topP ?? 0.9,
+            top_k: params.topK ?? 50,
             do_sample: params.temperature > 0,
             repetition_penalty: params.repetitionPenalty || 1.1,
+            no_repeat_ngram_size: params.noRepeatNgramSize || 0,
             pad_token_id: pipeline.tokenizer.pad_token_id,
-            eos_token_id: pipeline.tokenizer.eos_token_id
+            eos_token_id: pipeline.tokenizer.eos_token_id,
+            stopping_criteria: this.stoppingCriteria
         };
 
+        const logitsProcessors = [];
+        // First, so it sees the model's own distribution
+        const recorder = logprobs ? new LogprobsRecorder(pipeline.tokenizer, topLogprobs) : null;
+        if (recorder) {
+            logitsProcessors.push(recorder);
+        }
+        if (jsonMode) {
+            logitsProcessors.push(
+                createJsonSchemaProcessor(pipeline.tokenizer, jsonSchema, this.getEosTokenIds(pipeline))
+            );
+            // Nucleus and top-k filtering run before the mask and could leave no valid token
+            generationParams.top_p = 1.0;
+            generationParams.top_k = 0;
+        }
+
+        const samplingProcessor = createSamplingProcessor({
+            ...params,
+            topP: generationParams.top_p,
+            topK: generationParams.top_k
+        });
+        if (samplingProcessor) {
+            logitsProcessors.push(samplingProcessor);
+            if (samplingProcessor.random) {
+                // The seeded processor samples; keep the pipeline's own filters out of its way
+                generationParams.temperature = 1.0;
+                generationParams.top_p = 1.0;
+                generationParams.top_k = 0;
+            }
+        }
+        if (logitsProcessors.length > 0) {
+            generationParams.logits_processor = logitsProcessors;
+        }
+
         const maxTime = params.maxTime || 120000;
         const timeoutId = setTimeout(() => {
             if (this.isGenerating) {
-                this.stop();
+                this.stop('timeout');
                 if (onError) {
                     onError(new Error('Generation timeout'));
                 }
@@ -78,8 +216,13 @@ class ChatEngine {
             const streamer = new TextStreamer(pipeline.tokenizer, {
                 skip_prompt: true,
                 skip_special_tokens: true,
+                token_callback_function: (tokens) => {
+                    generatedTokens += tokens.length;
+                    lastTokenId = Number(tokens[tokens.length - 1]);
+                    recorder?.addTokens(tokens);
+                },
                 callback_function: (text) => {
-                    if (this.abortController?.signal?.aborted) {
+                    if (this.stopReason || this.abortController?.signal?.aborted) {
                         return;
                     }
 
@@ -91,47 +234,145 @@ class ChatEngine {
                     generatedText += text;
                     tokenCount++;
 
-                    if (this.shouldStop(generatedText)) {
+                    // Stop sequences could occur inside JSON strings; the grammar ends JSON output
+                    if (!jsonMode && this.shouldStop(generatedText)) {
                         generatedText = this.trimStopSequence(generatedText);
-                        this.stop();
+                        this.stop('stop');
                         return;
                     }
 
                     if (generatedText.length > (params.maxLength || 4096)) {
-                        this.stop();
+                        this.stop('length');
                         return;
                     }
 
-                    if (onToken) {
-                        onToken(text, {
+                    let answerText = text;
+                    if (splitter) {
+                        const delta = splitter.push(text);
+                        const timeElapsed = performance.now() - startTime;
+                        if (delta.reasoning) {
+                            onReasoning?.(delta.reasoning, { reasoning: splitter.reasoning, timeElapsed });
+                        }
+                        if (!splitter.isReasoning && splitter.reasoning && reasoningTime === null) {
+                            reasoningTime = timeElapsed;
+                        }
+                        answerText = delta.content;
+                        // Logprobs of reasoning tokens aren't reported
+                        if (recorder && !answerText) {
+                            recorder.drain();
+                        }
+                    }
+
+                    if (onToken && answerText) {
+                        const tokenStats = {
                             totalTokens: tokenCount,
-                            text: generatedText,
+                            text: splitter ? splitter.content : generatedText,
                             timeElapsed: performance.now() - startTime
-                        });
+                        };
+                        if (recorder) {
+                            // Tokens since the last callback; text chunks don't map 1:1 to tokens
+                            tokenStats.logprobs = recorder.drain();
+                        }
+                        onToken(answerText, tokenStats);
                     }
                 }
             });
 
             generationParams.streamer = streamer;
 
-            const result = await pipeline(formattedMessages, generationParams);
+            const cache = kvCache ? this.takeKvCache(pipeline, inputIds) : null;
+            const cachedTokens = cache ? cache.ids.length : 0;
+            this.metrics.cacheHit = cachedTokens > 0;
+            this.metrics.cachedTokens = cachedTokens;
+            if (cache) {
+                logger.log(`[ChatEngine] KV cache hit: ${cachedTokens} of ${promptTokens} prompt tokens reused`);
+            }
+
+            const draft = this.getDraftPipeline(pipeline, generationParams);
+            let sequence;
+            let pastKeyValues;
+            let speculation = null;
+            if (draft) {
+                speculation = await speculativeGenerate({
+                    model: pipeline.model,
+                    draftModel: draft.model,
+                    inputIds,
+                    pastKeyValues: cache?.pastKeyValues ?? null,
+                    cachedTokens,
+                    maxNewTokens: generationParams.max_new_tokens,
+                    temperature: generationParams.do_sample ? generationParams.temperature : 0,
+                    topK: generationParams.top_k,
+                    topP: generationParams.top_p,
+                    repetitionPenalty: generationParams.repetition_penalty,
+                    eosTokenIds: this.getEosTokenIds(pipeline),
+                    streamer,
+                    stoppingCriteria: this.stoppingCriteria
+                });
+                ({ sequence, pastKeyValues } = speculation);
+            } else {
+                const result = await pipeline.model.generate({
+                    ...inputs,
+                    ...generationParams,
+                    past_key_values: cache?.pastKeyValues ?? null,
+                    return_dict_in_generate: true
+                });
+                sequence = result.sequences.tolist()[0].map(Number);
+                pastKeyValues = result.past_key_values;
+            }
+            // Keep the cache even when stopped early; the next prompt decides whether it fits
+            if (kvCache) {
+                this.storeKvCache(pipeline, sequence, pastKeyValues);
+            } else if (pastKeyValues) {
+                this.disposeKvCache({ pastKeyValues });
+            }
 
             clearTimeout(timeoutId);
 
+            if (this.stopReason === 'abort' || this.stopReason === 'timeout' ||
+                (!this.stopReason && this.abortController?.signal?.aborted)) {
+                const abortError = new Error('Generation aborted');
+                abortError.name = 'AbortError';
+                throw abortError;
+            }
+
             const endTime = performance.now();
             this.metrics.generationTime = endTime - startTime;
             this.metrics.tokensGenerated = tokenCount;
+            this.updateSpeedMetrics(promptTokens, tokenCount, cachedTokens);
+            this.updateSpeculativeMetrics(pipeline, speculation);
 
-            const finalText = result[0].generated_text.at(-1).content;
+            // When we cut generation short, the streamed (trimmed) text is authoritative
+            let outputText = generatedText;
+            if (!this.stopReason) {
+                outputText = pipeline.tokenizer.decode(sequence.slice(promptTokens), { skip_special_tokens: true });
+            }
+            const output = this.splitOutput(outputText, splitter, startTime, reasoningTime);
+            const finalText = output.text;
+
+            const doneStats = {
+                ...output,
+                finishReason: this.stopReason || (
+                    generatedTokens >= generationParams.max_new_tokens && !this.getEosTokenIds(pipeline).includes(lastTokenId)
+                        ? 'length'
+                        : 'eos'
+                ),
+                tokens: tokenCount,
+                // Exact token counts, for usage reporting
+                promptTokens,
+                completionTokens: generatedTokens,
+                time: this.metrics.generationTime,
+                timeToFirstToken: this.metrics.timeToFirstToken,
+                tokensPerSecond: tokenCount / (this.metrics.generationTime / 1000)
+            };
+            if (jsonMode) {
+                Object.assign(doneStats, this.parseJsonOutput(finalText));
+            }
+            if (recorder) {
+                doneStats.logprobs = recorder.getLogprobs(outputText, outputText.length - finalText.length);
+            }
 
             if (onDone) {
-                onDone({
-                    text: finalText,
-                    tokens: tokenCount,
-                    time: this.metrics.generationTime,
-                    timeToFirstToken: this.metrics.timeToFirstToken,
-                    tokensPerSecond: tokenCount / (this.metrics.generationTime / 1000)
-                });
+                onDone(doneStats);
             }
 
             return finalText;
@@ -141,15 +382,22 @@ class ChatEngine {
 
             if (error.name === 'AbortError' || this.abortController?.signal?.aborted) {
                 logger.log('[ChatEngine] Generation aborted');
+                const output = this.splitOutput(generatedText, splitter, startTime, reasoningTime);
                 if (onDone) {
                     onDone({
-                        text: generatedText,
+                        ...output,
                         tokens: tokenCount,
+                        promptTokens,
+                        completionTokens: generatedTokens,
                         time: performance.now() - startTime,
-                        aborted: true
+                        aborted: true,
+                        finishReason: this.stopReason === 'timeout' ? 'timeout' : 'abort',
+                        ...(recorder ? {
+                            logprobs: recorder.getLogprobs(generatedText, generatedText.length - output.text.length)
+                        } : {})
                     });
                 }
-                return generatedText;
+                return output.text;
             }
 
             logger.error('[ChatEngine] Generation error:', error);
@@ -162,14 +410,70 @@ class ChatEngine {
             this.isGenerating = false;
             this.abortController = null;
             this.ownAbortController = false;
+            this.stoppingCriteria = null;
+        }
+    }
+
+    async generateStreamInWorker(options = {}) {
+        const {
+            messages,
+            params = {},
+            onToken,
+            onReasoning,
+            onDone,
+            onError,
+            signal,
+            systemPrompt = this.defaultSystemPrompt,
+            jsonSchema = null,
+            tools = null,
+            logprobs = false,
+            topLogprobs = 5,
+            assistantPrefix = '',
+            thinking = true,
+            kvCache = true
+        } = options;
+
+        if (this.isGenerating) {
+            throw new Error('Generation already in progress');
+        }
+
+        this.isGenerating = true;
+        this.stopReason = null;
+        const onAbort = () => this.stop();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            // Callbacks stay on this thread; only plain data crosses to the worker
+            const request = this.worker.createRequest('generate', { messages, params, systemPrompt, jsonSchema, tools, logprobs, topLogprobs, assistantPrefix, thinking, kvCache }, (message) => {
+                if (message.type === 'token') {
+                    onToken?.(message.text, message.stats);
+                } else if (message.type === 'reasoning') {
+                    onReasoning?.(message.text, message.stats);
+                } else if (message.type === 'done') {
+                    Object.assign(this.metrics, message.metrics);
+                    onDone?.(message.stats);
+                } else if (message.type === 'callback-error') {
+                    const error = new Error(message.error.message);
+                    error.name = message.error.name;
+                    onError?.(error);
+                }
+            });
+
+            this.activeRequestId = request.id;
+            return await request.promise;
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            this.isGenerating = false;
+            this.activeRequestId = null;
         }
     }
 
-    async generate(messages, params = {}) {
+    async generate(messages, params = {}, options = {}) {
         return new Promise((resolve, reject) => {
             let result = '';
 
             this.generateStream({
+                ...options,
                 messages,
                 params,
                 onToken: (token) => {
@@ -182,8 +486,384 @@ class ChatEngine {
                     });
                 },
                 onError: reject
+            }).catch(reject);
+        });
+    }
+
+    /**
+     * Generate with tools available. Each round streams the model's reply;
+     * when it contains tool calls they are executed, their results appended
+     * as "tool" messages and the model runs again, up to `maxToolRounds`.
+     * `onToken` only sees text meant for the user, `onToolCall(call)` and
+     * `onToolResult(result)` report tool activity, and `onDone` stats carry
+     * the executed `toolCalls`.
+     */
+    async generateWithTools(options = {}) {
+        const {
+            messages,
+            tools = toolRegistry.getDefinitions(),
+            maxToolRounds = this.maxToolRounds,
+            onToken,
+            onDone,
+            onToolCall,
+            onToolResult,
+            signal,
+            ...rest
+        } = options;
+
+        const conversation = [...messages];
+        const toolCalls = [];
+        let visibleText = '';
+        let tokens = 0;
+        let time = 0;
+        // Reasoning models think again in every round
+        const reasoning = [];
+        let reasoningTime = 0;
+
+        for (let round = 0; ; round++) {
+            const allowTools = tools.length > 0 && round < maxToolRounds;
+            let roundText = '';
+            let emitted = '';
+            let stats = null;
+
+            await this.generateStream({
+                ...rest,
+                messages: conversation,
+                signal,
+                tools: allowTools ? tools : null,
+                onToken: (token, tokenStats) => {
+                    roundText += token;
+                    const visible = toolRegistry.getVisibleText(roundText, true);
+                    if (visible.length > emitted.length && visible.startsWith(emitted)) {
+                        const delta = visible.slice(emitted.length);
+                        emitted = visible;
+                        onToken?.(delta, { ...tokenStats, text: visibleText + emitted });
+                    }
+                },
+                onDone: (doneStats) => {
+                    stats = doneStats;
+                }
             });
+
+            if (!stats) {
+                return visibleText;
+            }
+
+            tokens += stats.tokens || 0;
+            time += stats.time || 0;
+            if (stats.reasoning) {
+                reasoning.push(stats.reasoning);
+                reasoningTime += stats.reasoningTime;
+            }
+            const rawText = stats.text || roundText;
+            const calls = allowTools && !stats.aborted ? toolRegistry.parseToolCalls(rawText) : [];
+            const roundVisible = toolRegistry.getVisibleText(rawText);
+
+            if (calls.length === 0 || signal?.aborted) {
+                visibleText += roundVisible;
+                const text = visibleText.trim();
+                onDone?.({
+                    ...stats,
+                    text,
+                    tokens,
+                    time,
+                    toolCalls,
+                    ...(reasoning.length > 0 ? { reasoning: reasoning.join('\n\n'), reasoningTime } : {})
+                });
+                return text;
+            }
+
+            if (roundVisible) {
+                visibleText += `${roundVisible}\n\n`;
+            }
+            conversation.push({ role: 'assistant', content: rawText });
+
+            for (const call of calls) {
+                onToolCall?.(call);
+                const result = await toolRegistry.execute(call);
+                toolCalls.push(result);
+                onToolResult?.(result);
+                conversation.push({ role: 'tool', content: result.result });
+            }
+            logger.log(`[ChatEngine] Tool round ${round + 1}: ${calls.map(call => call.name).join(', ')}`);
+        }
+    }
+
+    /**
+     * Whether the loaded model writes a think block before its answer.
+     */
+    isReasoningModel() {
+        return Boolean(modelLoader.getCurrentModelInfo('llm')?.chatTemplate?.reasoning);
+    }
+
+    /**
+     * `{ text }` of generated output, plus `reasoning` and `reasoningTime`
+     * (ms) when a reasoning model thought first.
+     */
+    splitOutput(outputText, splitter, startTime, reasoningTime) {
+        if (!splitter) {
+            return { text: outputText };
+        }
+
+        const { reasoning, content } = splitReasoning(outputText, splitter.startsInReasoning);
+        if (!reasoning) {
+            return { text: content };
+        }
+        return {
+            text: content,
+            reasoning,
+            // Still thinking when generation ended
+            reasoningTime: reasoningTime ?? performance.now() - startTime
+        };
+    }
+
+    /**
+     * Chat-template text for a tool-enabled prompt. Templates that render the
+     * `tools` argument (Qwen2.5 and friends) are used as-is; for the rest the
+     * tool instructions go into the system prompt and tool results into user
+     * turns.
+     */
+    renderToolPrompt(tokenizer, messages, systemPrompt, tools) {
+        const render = (formatted, options = {}) => tokenizer.apply_chat_template(formatted, {
+            tokenize: false,
+            add_generation_prompt: true,
+            ...options
         });
+
+        try {
+            const formatted = this.formatMessages(messages, systemPrompt);
+            const withTools = render(formatted, { tools });
+            if (withTools !== render(formatted)) {
+                return withTools;
+            }
+        } catch (error) {
+            logger.warn('[ChatEngine] Chat template could not render tools:', error);
+        }
+
+        const folded = [];
+        for (const msg of messages) {
+            if (msg.role !== 'tool') {
+                folded.push(msg);
+                continue;
+            }
+            const response = `<tool_response>\n${msg.content}\n</tool_response>`;
+            const previous = folded.at(-1);
+            if (previous?.toolResponses) {
+                previous.content += `\n${response}`;
+            } else {
+                folded.push({ role: 'user', content: response, toolResponses: true });
+            }
+        }
+
+        const instructions = toolRegistry.renderInstructions(tools);
+        return render(this.formatMessages(
+            folded,
+            systemPrompt ? `${systemPrompt}\n\n${instructions}` : instructions
+        ));
+    }
+
+    /**
+     * `prompt` (chat messages or rendered text) with the assistant turn
+     * opened and already holding `prefix`, so generation picks up mid-reply.
+     */
+    renderContinuationPrompt(tokenizer, prompt, prefix) {
+        const rendered = typeof prompt === 'string'
+            ? prompt
+            : tokenizer.apply_chat_template(prompt, { tokenize: false, add_generation_prompt: true });
+        return rendered + prefix;
+    }
+
+    addSchemaInstructions(systemPrompt, jsonSchema) {
+        const instructions = jsonSchema === true
+            ? 'Respond only with valid JSON.'
+            : `Respond only with JSON that matches this JSON Schema:\n${JSON.stringify(jsonSchema)}`;
+        return systemPrompt ? `${systemPrompt}\n\n${instructions}` : instructions;
+    }
+
+    getEosTokenIds(pipeline) {
+        const ids = [pipeline.model?.generation_config?.eos_token_id, pipeline.tokenizer.eos_token_id]
+            .flat()
+            .filter(id => typeof id === 'number');
+        return [...new Set(ids)];
+    }
+
+    /**
+     * `{ json, jsonError }` for constrained output. Parsing only fails when
+     * generation was cut short (max tokens, timeout or a stop) mid-document.
+     */
+    parseJsonOutput(text) {
+        try {
+            return { json: JSON.parse(text), jsonError: null };
+        } catch (error) {
+            logger.warn('[ChatEngine] JSON output did not parse:', error);
+            return { json: null, jsonError: error.message };
+        }
+    }
+
+    /**
+     * The draft model to speculate with, or null to decode normally: when
+     * none is loaded, its tokenizer differs from the main model's, the main
+     * model isn't on WASM (rejected tokens are cut from CPU-side caches), or
+     * the request needs logits processors the speculative loop doesn't run.
+     */
+    getDraftPipeline(pipeline, generationParams) {
+        const draft = modelLoader.getDraftPipeline();
+        if (!draft || generationParams.logits_processor || generationParams.no_repeat_ngram_size > 0) {
+            return null;
+        }
+
+        if (this.draftCheck?.pipeline !== pipeline || this.draftCheck?.draft !== draft) {
+            let reason = null;
+            if (modelLoader.getCurrentConfig('llm')?.device !== 'wasm') {
+                reason = 'the main model is not running on WASM';
+            } else if (!isTokenizerCompatible(pipeline.tokenizer, draft.tokenizer)) {
+                reason = 'the draft model\'s tokenizer does not match the main model\'s';
+            }
+            if (reason) {
+                logger.warn(`[ChatEngine] Speculative decoding off: ${reason}`);
+            }
+            this.draftCheck = { pipeline, draft, usable: !reason };
+        }
+
+        return this.draftCheck.usable ? draft : null;
+    }
+
+    updateSpeculativeMetrics(pipeline, speculation) {
+        const { tokensPerSecond } = this.metrics;
+
+        if (!speculation) {
+            this.metrics.speculative = false;
+            this.metrics.draftAcceptanceRate = 0;
+            this.metrics.tokensPerStep = 0;
+            this.metrics.speculativeSpeedup = null;
+            if (tokensPerSecond > 0) {
+                this.plainDecodeSpeed = { pipeline, tokensPerSecond };
+            }
+            return;
+        }
+
+        const { proposed, accepted, steps, generated } = speculation;
+        const baseline = this.plainDecodeSpeed?.pipeline === pipeline ? this.plainDecodeSpeed.tokensPerSecond : 0;
+        this.metrics.speculative = true;
+        this.metrics.draftAcceptanceRate = proposed ? accepted / proposed : 0;
+        this.metrics.tokensPerStep = steps ? generated / steps : 0;
+        this.metrics.speculativeSpeedup = baseline && tokensPerSecond ? tokensPerSecond / baseline : null;
+        logger.log(`[ChatEngine] Speculative decoding: ${(this.metrics.draftAcceptanceRate * 100).toFixed(0)}% of draft tokens accepted`);
+    }
+
+    /**
+     * Hand out the cached past_key_values for the longest prefix they share
+     * with `inputIds`, truncated to it; otherwise free them. At least one
+     * prompt token is left uncached, since generation needs something to
+     * feed. Either way the cache is emptied, since generation takes ownership
+     * of (and may dispose) the tensors it gets.
+     */
+    takeKvCache(pipeline, inputIds) {
+        const cache = this.kvCache;
+        this.kvCache = null;
+        if (!cache) {
+            return null;
+        }
+
+        const { ids } = cache;
+        const limit = Math.min(ids.length, inputIds.length - 1);
+        let shared = 0;
+        while (shared < limit && ids[shared] === inputIds[shared]) {
+            shared++;
+        }
+
+        if (cache.pipeline !== pipeline || shared === 0) {
+            this.disposeKvCache(cache);
+            return null;
+        }
+        if (shared === ids.length) {
+            return cache;
+        }
+        // Regenerated, edited or reasoning-stripped history diverges inside the cache
+        if (!this.canTruncateKvCache(cache)) {
+            this.disposeKvCache(cache);
+            return null;
+        }
+        return this.truncateKvCache(cache, shared);
+    }
+
+    /**
+     * Whether the cached tensors can be cut down along the sequence. WebGPU
+     * keeps them in GPU buffers, which can't be sliced without a read back,
+     * and recurrent state (hybrid models' past_conv) has no sequence axis.
+     */
+    canTruncateKvCache(cache) {
+        return Object.entries(cache.pastKeyValues).every(([name, tensor]) =>
+            name.startsWith('past_key_values') && tensor.location !== 'gpu-buffer');
+    }
+
+    /**
+     * `cache` cut down to its first `length` tokens.
+     */
+    truncateKvCache(cache, length) {
+        const pastKeyValues = {};
+        for (const [name, tensor] of Object.entries(cache.pastKeyValues)) {
+            // [batch, heads, sequence, head_dim]
+            pastKeyValues[name] = tensor.slice(null, null, [0, length], null);
+        }
+        this.disposeKvCache(cache);
+
+        return {
+            pipeline: cache.pipeline,
+            ids: cache.ids.slice(0, length),
+            pastKeyValues
+        };
+    }
+
+    storeKvCache(pipeline, sequence, pastKeyValues) {
+        const first = Object.values(pastKeyValues || {})[0];
+        if (!first) {
+            return;
+        }
+
+        // The last sampled token is never fed back, so the cache is one short
+        this.kvCache = {
+            pipeline,
+            ids: sequence.slice(0, first.dims.at(-2)),
+            pastKeyValues
+        };
+    }
+
+    disposeKvCache(cache) {
+        for (const tensor of Object.values(cache.pastKeyValues)) {
+            tensor.dispose?.();
+        }
+    }
+
+    /**
+     * Drop the cached past_key_values, e.g. after an edit, a knowledge base
+     * change or a model switch. Prompts that no longer share the cached prefix
+     * miss anyway; this frees the memory right away.
+     */
+    invalidateCache() {
+        if (this.worker) {
+            this.worker.post('invalidate-cache');
+        }
+        if (this.kvCache) {
+            this.disposeKvCache(this.kvCache);
+            this.kvCache = null;
+            logger.log('[ChatEngine] KV cache cleared');
+        }
+    }
+
+    updateSpeedMetrics(promptTokens, tokenCount, cachedTokens = 0) {
+        const { generationTime, timeToFirstToken } = this.metrics;
+        const decodeTime = generationTime - timeToFirstToken;
+        // Only the uncached part of the prompt is prefilled
+        const prefillTokens = promptTokens - cachedTokens;
+
+        this.metrics.promptTokens = promptTokens;
+        this.metrics.prefillTokensPerSecond = prefillTokens && timeToFirstToken
+            ? prefillTokens / (timeToFirstToken / 1000)
+            : 0;
+        this.metrics.tokensPerSecond = tokenCount > 1 && decodeTime > 0
+            ? (tokenCount - 1) / (decodeTime / 1000)
+            : 0;
     }
 
     formatMessages(messages, systemPrompt) {
@@ -210,9 +890,38 @@ class ChatEngine {
             formattedMessages.push(messages);
         }
 
+        const modelInfo = modelLoader.getCurrentModelInfo('llm');
+        if (modelInfo?.chatTemplate?.systemRole === false) {
+            return this.foldSystemMessages(formattedMessages);
+        }
+
         return formattedMessages;
     }
 
+    foldSystemMessages(messages) {
+        // For templates without a system role, prepend system text to the first user turn
+        const systemText = messages
+            .filter(msg => msg.role === 'system')
+            .map(msg => msg.content)
+            .join('\n\n');
+        const rest = messages.filter(msg => msg.role !== 'system');
+
+        if (!systemText) {
+            return rest;
+        }
+
+        const firstUser = rest.findIndex(msg => msg.role === 'user');
+        if (firstUser === -1) {
+            return [{ role: 'user', content: systemText }, ...rest];
+        }
+
+        rest[firstUser] = {
+            ...rest[firstUser],
+            content: `${systemText}\n\n${rest[firstUser].content}`
+        };
+        return rest;
+    }
+
     shouldStop(text) {
         return this.stopSequences.some(seq => text.includes(seq));
     }
@@ -227,7 +936,16 @@ class ChatEngine {
         return text;
     }
 
-    stop() {
+    stop(reason = 'abort') {
+        if (!this.stopReason) {
+            this.stopReason = reason;
+        }
+        this.stoppingCriteria?.interrupt();
+
+        if (this.worker && this.activeRequestId) {
+            this.worker.post('abort', { targetId: this.activeRequestId });
+        }
+
         // Only abort if we own the controller and it has an abort method
         if (this.ownAbortController && this.abortController && typeof this.abortController.abort === 'function') {
             if (!this.abortController.signal.aborted) {
@@ -242,10 +960,54 @@ class ChatEngine {
         return this.isGenerating;
     }
 
+    /**
+     * Wait for the model, behind every caller that asked before. The chat UI
+     * and the OpenAI API hold it for a whole reply, so their generations take
+     * turns instead of colliding. Resolves with a function that hands the
+     * model to the next caller; rejects with an AbortError if `signal` aborts
+     * first, passing the turn on.
+     */
+    acquire(signal = null) {
+        let release;
+        const released = new Promise(resolve => {
+            release = resolve;
+        });
+        const previous = this.turns;
+        this.turns = previous.then(() => released);
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                release();
+                const error = new Error('Generation aborted');
+                error.name = 'AbortError';
+                reject(error);
+            };
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            previous.then(() => {
+                signal?.removeEventListener('abort', onAbort);
+                if (!signal?.aborted) {
+                    resolve(release);
+                }
+            });
+        });
+    }
+
     getMetrics() {
         return { ...this.metrics };
     }
 
+    async warmup(prompt = 'Hello') {
+        if (this.worker) {
+            return this.worker.request('warmup', { prompt });
+        }
+        return modelLoader.warmup(modelLoader.getTextGenerationPipeline(), prompt);
+    }
+
     setSystemPrompt(prompt) {
         this.defaultSystemPrompt = prompt;
     }
@@ -283,6 +1045,10 @@ export async function generate(messages, params) {
     return chatEngine.generate(messages, params);
 }
 
+export async function generateWithTools(options) {
+    return chatEngine.generateWithTools(options);
+}
+
 export function stopGeneration() {
     return chatEngine.stop();
 }
@@ -0,0 +1,133 @@
+import { modelLoader } from './loader.js';
+import { modelRegistry } from './models.js';
+import { chatEngine } from './chat-engine.js';
+import { tokenCounter } from './token-counter.js';
+import { toolRegistry } from '../tools/registry.js';
+import logger from '../utils/logger.js';
+
+// Keeps a chat prompt inside the loaded model's context window. Leading
+// system messages (the system prompt and any RAG context) and the current
+// user turn are always kept; the oldest turns in between are dropped first.
+
+class ContextManager {
+    getContextLength(modelId = modelLoader.getCurrentModel('llm')) {
+        return modelRegistry.getContextLength(modelId);
+    }
+
+    /**
+     * Prompt tokens for `messages` once ChatEngine has added its system prompt,
+     * and the definitions of `tools` when they are offered to the model.
+     */
+    countPromptTokens(messages, systemPrompt = chatEngine.defaultSystemPrompt, tools = null) {
+        if (tools?.length) {
+            const tokenizer = tokenCounter.getTokenizer('llm');
+            if (tokenizer) {
+                try {
+                    return tokenCounter.count(chatEngine.renderToolPrompt(tokenizer, messages, systemPrompt, tools), 'llm');
+                } catch (error) {
+                    logger.warn('[ContextManager] Could not render the tool prompt, using estimate:', error);
+                }
+            }
+            return this.countPromptTokens(messages, systemPrompt) +
+                tokenCounter.count(toolRegistry.renderInstructions(tools), 'llm');
+        }
+
+        return tokenCounter.countMessages(chatEngine.formatMessages(messages, systemPrompt));
+    }
+
+    /**
+     * Fit `messages` into the context window, leaving room for `maxNewTokens`
+     * of output and for the definitions of `tools`, if any. Returns the
+     * messages to send along with what was cut:
+     * `{ messages, promptTokens, budget, contextLength, droppedMessages, trimmedMessage, truncated }`.
+     */
+    fitMessages(messages, options = {}) {
+        const {
+            maxNewTokens = 256,
+            systemPrompt = chatEngine.defaultSystemPrompt,
+            tools = null,
+            modelId = modelLoader.getCurrentModel('llm')
+        } = options;
+
+        const contextLength = this.getContextLength(modelId);
+        const budget = Math.max(contextLength - maxNewTokens, 0);
+
+        let pinnedCount = 0;
+        while (pinnedCount < messages.length && messages[pinnedCount].role === 'system') {
+            pinnedCount++;
+        }
+        const pinned = messages.slice(0, pinnedCount);
+        let history = messages.slice(pinnedCount, -1);
+        let current = messages.length > pinnedCount ? messages[messages.length - 1] : null;
+
+        const assemble = () => [...pinned, ...history, ...(current ? [current] : [])];
+        let promptTokens = this.countPromptTokens(assemble(), systemPrompt, tools);
+        let droppedMessages = 0;
+        let trimmedMessage = false;
+
+        // Drop whole turns (a user message and the replies after it), oldest
+        // first. Individual counts pick how many to drop; the full template
+        // count confirms it.
+        while (promptTokens > budget && history.length > 0) {
+            let excess = promptTokens - budget;
+            let cut = 0;
+            while (cut < history.length && excess > 0) {
+                do {
+                    excess -= tokenCounter.count(history[cut].content || '', 'llm');
+                    cut++;
+                } while (cut < history.length && history[cut].role !== 'user');
+            }
+
+            droppedMessages += cut;
+            history = history.slice(cut);
+            promptTokens = this.countPromptTokens(assemble(), systemPrompt, tools);
+        }
+
+        // Only the pinned messages and the current turn are left; shorten the
+        // current turn rather than cut into the system prompt or RAG context
+        const original = current?.content || '';
+        let keepChars = original.length;
+        while (promptTokens > budget && keepChars > 0) {
+            // Cut proportionally; tokens aren't evenly spread, so re-check and repeat
+            const currentTokens = tokenCounter.count(current.content, 'llm');
+            const ratio = Math.max(currentTokens - (promptTokens - budget), 0) / currentTokens;
+            keepChars = Math.min(Math.floor(keepChars * ratio), keepChars - 1);
+            current = { ...current, content: keepChars > 0 ? `${original.slice(0, keepChars)} …` : '' };
+            trimmedMessage = true;
+            promptTokens = this.countPromptTokens(assemble(), systemPrompt, tools);
+        }
+        if (trimmedMessage && keepChars === 0) {
+            // The pinned messages alone overflow; sending nothing of the question helps no one
+            current = { ...current, content: original };
+            trimmedMessage = false;
+            promptTokens = this.countPromptTokens(assemble(), systemPrompt, tools);
+        }
+
+        const truncated = droppedMessages > 0 || trimmedMessage;
+        if (truncated) {
+            logger.log(`[ContextManager] Dropped ${droppedMessages} messages${trimmedMessage ? ' and shortened the current one' : ''} to fit ${contextLength} tokens (${promptTokens} prompt + ${maxNewTokens} reserved)`);
+        }
+        if (promptTokens > budget) {
+            logger.warn(`[ContextManager] Prompt still uses ${promptTokens} of ${budget} available tokens`);
+        }
+
+        return {
+            messages: assemble(),
+            promptTokens,
+            budget,
+            contextLength,
+            droppedMessages,
+            trimmedMessage,
+            truncated
+        };
+    }
+}
+
+// Create singleton instance
+const contextManager = new ContextManager();
+
+export { contextManager, ContextManager };
+
+export function fitMessagesToContext(messages, options) {
+    return contextManager.fitMessages(messages, options);
+}
@@ -0,0 +1,99 @@
+import logger from '../utils/logger.js';
+
+// Remembers which backend/dtype combination last loaded each model on this
+// device, so the fallback chain in ModelLoader can start from a configuration
+// known to work. Entries are tied to the GPU adapter they were recorded on;
+// a different adapter (new GPU, driver or browser flag) starts fresh.
+
+const STORAGE_KEY = 'llm-web-device-profile';
+
+class DeviceProfile {
+    constructor() {
+        this.adapterSignature = null;
+    }
+
+    isSupported() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    async getAdapterSignature() {
+        if (!this.adapterSignature) {
+            this.adapterSignature = this.detectAdapter();
+        }
+        return this.adapterSignature;
+    }
+
+    async detectAdapter() {
+        if (typeof navigator === 'undefined' || !navigator.gpu) {
+            return 'no-webgpu';
+        }
+
+        try {
+            const adapter = await navigator.gpu.requestAdapter();
+            if (!adapter) {
+                return 'no-adapter';
+            }
+            const info = adapter.info || {};
+            return [info.vendor, info.architecture, info.device, info.description]
+                .filter(Boolean)
+                .join(' ') || 'webgpu';
+        } catch (error) {
+            logger.warn('[DeviceProfile] Failed to query GPU adapter:', error);
+            return 'no-adapter';
+        }
+    }
+
+    readAll() {
+        if (!this.isSupported()) {
+            return {};
+        }
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            logger.warn('[DeviceProfile] Ignoring unreadable profile:', error);
+            return {};
+        }
+    }
+
+    writeAll(profiles) {
+        if (this.isSupported()) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+        }
+    }
+
+    async get(modelId) {
+        const entry = this.readAll()[modelId];
+        if (!entry) {
+            return null;
+        }
+        return entry.adapter === await this.getAdapterSignature() ? entry : null;
+    }
+
+    async record(modelId, { device, dtype }) {
+        const profiles = this.readAll();
+        profiles[modelId] = {
+            device,
+            dtype,
+            adapter: await this.getAdapterSignature(),
+            recordedAt: Date.now()
+        };
+        this.writeAll(profiles);
+    }
+
+    forget(modelId) {
+        const profiles = this.readAll();
+        delete profiles[modelId];
+        this.writeAll(profiles);
+    }
+
+    clear() {
+        if (this.isSupported()) {
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    }
+}
+
+// Create singleton instance
+const deviceProfile = new DeviceProfile();
+
+export { deviceProfile, DeviceProfile };
@@ -0,0 +1,644 @@
+import { IDBHelper } from '../utils/idb.js';
+import { modelRegistry, DTYPE_FILE_SUFFIXES } from './models.js';
+import { localModelStore } from './local-models.js';
+import logger from '../utils/logger.js';
+
+// Downloads model files ahead of the pipeline so they can be paused, resumed
+// and cancelled. Partial files are persisted to IndexedDB in chunks and resumed
+// with HTTP range requests (also after a reload). Finished files are written to
+// the same Cache Storage entries transformers.js reads, so the loader picks
+// them up without touching the network.
+
+const HF_HOST = 'https://huggingface.co';
+const CACHE_NAME = 'transformers-cache';
+// Files transformers.js fetches besides the ONNX weights
+const CONFIG_FILES = ['config.json', 'generation_config.json', 'tokenizer.json', 'tokenizer_config.json'];
+// Buffered bytes written to IndexedDB at a time; bounds what a pause or reload can lose
+const CHUNK_FLUSH_BYTES = 8 * 1024 * 1024;
+const SPEED_WINDOW_MS = 5000;
+const NOTIFY_INTERVAL_MS = 250;
+
+function createCancelledError() {
+    const error = new Error('Download cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+class DownloadManager {
+    constructor() {
+        this.dbName = 'llm-web-downloads';
+        this.version = 1;
+        this.helper = null;
+        this.stores = {
+            downloads: 'downloads',
+            chunks: 'chunks'
+        };
+        this.records = new Map();
+        // id -> promise of downloads being prepared, before run() marks them active
+        this.starting = new Map();
+        // Ids paused while starting
+        this.pauseRequests = new Set();
+        this.active = new Map();
+        this.waiters = new Map();
+        this.updateCallbacks = [];
+        this.sizeCache = new Map();
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined' && typeof caches !== 'undefined';
+    }
+
+    async initialize() {
+        if (this.helper) {
+            return true;
+        }
+
+        this.helper = new IDBHelper(this.dbName, this.version);
+
+        await this.helper.open((db) => {
+            if (!db.objectStoreNames.contains(this.stores.downloads)) {
+                db.createObjectStore(this.stores.downloads, { keyPath: 'id' });
+            }
+
+            if (!db.objectStoreNames.contains(this.stores.chunks)) {
+                // Keyed by [fileKey, offset] so a file's chunks come back in order
+                db.createObjectStore(this.stores.chunks, { keyPath: ['fileKey', 'offset'] });
+            }
+        });
+
+        const records = await this.helper.getAll(this.stores.downloads);
+        records.forEach(record => this.records.set(record.id, record));
+
+        return true;
+    }
+
+    /**
+     * Pick up downloads left over from a previous page load. Downloads that were
+     * running when the page closed resume automatically; paused ones stay paused.
+     */
+    async restore() {
+        await this.initialize();
+
+        for (const record of this.records.values()) {
+            if (record.status === 'downloading') {
+                logger.log(`[Downloads] Resuming interrupted download: ${record.id}`);
+                this.resume(record.id).catch(error => {
+                    logger.warn(`[Downloads] Failed to resume ${record.id}:`, error);
+                });
+            }
+        }
+
+        return this.getDownloads();
+    }
+
+    downloadId(modelId, dtype) {
+        return `${modelId}@${dtype}`;
+    }
+
+    fileUrl(modelId, path) {
+        // Same key transformers.js uses for its cache entries
+        return `${HF_HOST}/${modelId}/resolve/main/${path}`;
+    }
+
+    resolveDtype(modelId, dtype) {
+        return dtype || modelRegistry.getModel(modelId)?.defaultDtype || 'q4';
+    }
+
+    /**
+     * Download every file the pipeline needs for `modelId` at `dtype`. Resolves
+     * once all files are cached; rejects on error or cancel. Pausing leaves the
+     * promise pending until the download is resumed.
+     */
+    async download(modelId, options = {}) {
+        const dtype = this.resolveDtype(modelId, options.dtype);
+        const id = this.downloadId(modelId, dtype);
+
+        return this.start(id, async () => {
+            await this.initialize();
+
+            let record = this.records.get(id);
+            if (!record) {
+                record = {
+                    id,
+                    modelId,
+                    dtype,
+                    status: 'queued',
+                    files: await this.listFiles(modelId, dtype),
+                    error: null,
+                    createdAt: Date.now()
+                };
+                // Listed right away, so it can be cancelled while it starts
+                this.records.set(id, record);
+            }
+
+            await this.refreshCachedFiles(record);
+
+            if (record.files.every(file => file.done)) {
+                record.status = 'completed';
+                await this.save(record);
+                this.notify(record);
+                return record;
+            }
+
+            await this.preflight(record);
+            return record;
+        });
+    }
+
+    /**
+     * Prepare and run the download `id` unless it is already starting or
+     * running, in which case the caller shares that run. The id is marked as
+     * starting before anything is awaited, so concurrent calls (an interrupted
+     * download being restored while the loader asks for the same model) can't
+     * start a second run on the same record.
+     */
+    start(id, prepare) {
+        if (this.starting.has(id)) {
+            return this.starting.get(id);
+        }
+        if (this.active.has(id)) {
+            return this.waitFor(id);
+        }
+
+        const promise = (async () => {
+            let record;
+            try {
+                record = await prepare();
+            } finally {
+                this.starting.delete(id);
+            }
+
+            // Cancelled or paused while it was being prepared
+            if (record.status === 'cancelled' || !this.records.has(id)) {
+                throw createCancelledError();
+            }
+            if (this.pauseRequests.delete(id)) {
+                record.status = 'paused';
+                await this.save(record);
+                this.notify(record);
+                logger.log(`[Downloads] Paused ${id}`);
+                return this.waitFor(id);
+            }
+            if (record.status === 'completed') {
+                return record;
+            }
+
+            // run() marks the id active before its first await
+            const finished = this.waitFor(id);
+            this.run(record);
+            return finished;
+        })();
+
+        this.starting.set(id, promise);
+        return promise;
+    }
+
+    /**
+     * Make sure a model is available before the loader asks for it. Falls back
+     * to the loader's own fetching when the manager cannot help (imported or
+     * TTS models, no Cache Storage, Hub API unreachable); quota failures and
+     * cancellation are passed through to the caller.
+     */
+    async ensureDownloaded(modelId, options = {}) {
+        const model = modelRegistry.getModel(modelId);
+        if (!this.isSupported() || localModelStore.isLocalModel(modelId) || model?.type === 'tts') {
+            return null;
+        }
+
+        try {
+            return await this.download(modelId, options);
+        } catch (error) {
+            if (error.name === 'QuotaExceededError' || error.name === 'AbortError') {
+                throw error;
+            }
+            logger.warn(`[Downloads] Falling back to direct loading for ${modelId}:`, error);
+            return null;
+        }
+    }
+
+    async listFiles(modelId, dtype) {
+        const suffix = DTYPE_FILE_SUFFIXES[dtype];
+        if (suffix === undefined) {
+            throw new Error(`Unknown dtype: ${dtype}`);
+        }
+
+        const response = await fetch(`${HF_HOST}/api/models/${modelId}/tree/main?recursive=true`);
+        if (!response.ok) {
+            throw new Error(`Could not list files for ${modelId} (HTTP ${response.status})`);
+        }
+
+        const weights = new RegExp(`^onnx/model${suffix}\\.onnx(_data(_\\d+)?)?$`);
+        const files = (await response.json())
+            .filter(entry => entry.type === 'file')
+            .filter(entry => CONFIG_FILES.includes(entry.path) || weights.test(entry.path))
+            .map(entry => ({
+                path: entry.path,
+                size: entry.lfs?.size ?? entry.size ?? 0,
+                received: 0,
+                done: false
+            }));
+
+        if (!files.some(file => file.path.endsWith('.onnx'))) {
+            throw new Error(`${modelId} has no ${dtype} weights (onnx/model${suffix}.onnx)`);
+        }
+
+        return files;
+    }
+
+    /**
+     * Exact download size of a model at a dtype, from the Hub file listing.
+     * Memoized per session; failed lookups are retried next time.
+     */
+    async getDownloadSize(modelId, dtype) {
+        const key = this.downloadId(modelId, this.resolveDtype(modelId, dtype));
+
+        if (!this.sizeCache.has(key)) {
+            const size = this.listFiles(modelId, this.resolveDtype(modelId, dtype))
+                .then(files => files.reduce((sum, file) => sum + file.size, 0))
+                .catch(error => {
+                    this.sizeCache.delete(key);
+                    throw error;
+                });
+            this.sizeCache.set(key, size);
+        }
+
+        return this.sizeCache.get(key);
+    }
+
+    async refreshCachedFiles(record) {
+        const cache = await caches.open(CACHE_NAME);
+
+        for (const file of record.files) {
+            file.done = !!(await cache.match(this.fileUrl(record.modelId, file.path)));
+            file.received = file.done ? file.size : await this.getStoredBytes(this.fileKey(record, file));
+        }
+    }
+
+    /**
+     * Compare the bytes still to fetch against the origin's storage quota. Each
+     * file briefly exists twice (IndexedDB chunks and the assembled cache entry),
+     * so the largest remaining file is counted on top.
+     */
+    async estimateQuota(record) {
+        const remaining = record.files.filter(file => !file.done);
+        const largest = Math.max(0, ...remaining.map(file => file.size));
+        const required = remaining.reduce((sum, file) => sum + file.size - file.received, 0) + largest;
+
+        if (!navigator.storage?.estimate) {
+            return { required, available: Infinity, sufficient: true };
+        }
+
+        const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+        const available = quota - usage;
+
+        return { required, available, usage, quota, sufficient: required <= available };
+    }
+
+    async preflight(record) {
+        const estimate = await this.estimateQuota(record);
+
+        if (!estimate.sufficient) {
+            const toMB = (bytes) => Math.ceil(bytes / (1024 * 1024));
+            const error = new Error(`Not enough storage for ${record.modelId}: needs ${toMB(estimate.required)} MB, ${toMB(estimate.available)} MB available.`);
+            error.name = 'QuotaExceededError';
+            error.required = estimate.required;
+            error.available = estimate.available;
+
+            record.status = 'error';
+            record.error = error.message;
+            await this.save(record);
+            this.notify(record);
+            throw error;
+        }
+
+        // Ask the browser not to evict model files under storage pressure
+        if (navigator.storage?.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        return estimate;
+    }
+
+    async run(record) {
+        const controller = new AbortController();
+        this.active.set(record.id, { controller, samples: [], lastNotify: 0 });
+
+        record.status = 'downloading';
+        record.error = null;
+        await this.save(record);
+        this.notify(record);
+
+        try {
+            for (const file of record.files) {
+                if (!file.done) {
+                    await this.downloadFile(record, file, controller.signal);
+                }
+            }
+
+            record.status = 'completed';
+            await this.save(record);
+            logger.log(`[Downloads] Completed ${record.id}`);
+            this.settle(record.id, null, record);
+        } catch (error) {
+            // Pause and cancel update the record themselves
+            if (!controller.signal.aborted) {
+                logger.error(`[Downloads] ${record.id} failed:`, error);
+                record.status = 'error';
+                record.error = error.message;
+                await this.save(record);
+                this.settle(record.id, error);
+            }
+        } finally {
+            this.active.delete(record.id);
+            this.notify(record);
+        }
+    }
+
+    async downloadFile(record, file, signal) {
+        const url = this.fileUrl(record.modelId, file.path);
+        const fileKey = this.fileKey(record, file);
+
+        let persisted = await this.getStoredBytes(fileKey);
+        const headers = persisted > 0 ? { Range: `bytes=${persisted}-` } : {};
+        const response = await fetch(url, { headers, signal });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} while downloading ${file.path}`);
+        }
+        if (persisted > 0 && response.status !== 206) {
+            // Server ignored the range request; start this file over
+            await this.deleteChunks(fileKey);
+            persisted = 0;
+        }
+        file.received = persisted;
+
+        let buffer = [];
+        let buffered = 0;
+        const flush = async () => {
+            if (buffered === 0) return;
+            const blob = new Blob(buffer);
+            buffer = [];
+            buffered = 0;
+            await this.helper.put(this.stores.chunks, { fileKey, offset: persisted, blob });
+            persisted += blob.size;
+            await this.save(record);
+        };
+
+        const reader = response.body.getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer.push(value);
+                buffered += value.byteLength;
+                file.received += value.byteLength;
+                this.recordProgress(record);
+
+                if (buffered >= CHUNK_FLUSH_BYTES) {
+                    await flush();
+                }
+            }
+        } finally {
+            // Keep whatever arrived before a pause so the next range request starts there
+            if (record.status !== 'cancelled') {
+                await flush();
+            }
+        }
+
+        const chunks = await this.helper.getAll(this.stores.chunks, this.chunkRange(fileKey));
+        const blob = new Blob(chunks.map(chunk => chunk.blob));
+        if (file.size && blob.size !== file.size) {
+            await this.deleteChunks(fileKey);
+            file.received = 0;
+            throw new Error(`Size mismatch for ${file.path}: expected ${file.size} bytes, got ${blob.size}`);
+        }
+
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(url, new Response(blob, {
+            headers: {
+                'content-length': String(blob.size),
+                'content-type': response.headers.get('content-type') || 'application/octet-stream'
+            }
+        }));
+        await this.deleteChunks(fileKey);
+
+        file.done = true;
+        file.received = blob.size;
+        await this.save(record);
+    }
+
+    async pause(id) {
+        const runtime = this.active.get(id);
+        const record = this.records.get(id);
+        if (!record) return;
+        if (!runtime) {
+            // start() pauses it once it has been prepared
+            if (this.starting.has(id)) {
+                this.pauseRequests.add(id);
+            }
+            return;
+        }
+
+        record.status = 'paused';
+        runtime.controller.abort();
+        await this.save(record);
+        this.notify(record);
+        logger.log(`[Downloads] Paused ${id}`);
+    }
+
+    resume(id) {
+        return this.start(id, async () => {
+            await this.initialize();
+
+            const record = this.records.get(id);
+            if (!record) {
+                throw new Error(`Unknown download: ${id}`);
+            }
+
+            await this.refreshCachedFiles(record);
+            await this.preflight(record);
+            return record;
+        });
+    }
+
+    async cancel(id) {
+        await this.initialize();
+
+        const record = this.records.get(id);
+        if (!record) return;
+
+        record.status = 'cancelled';
+        this.active.get(id)?.controller.abort();
+        this.pauseRequests.delete(id);
+
+        await this.helper.delete(this.stores.chunks, IDBKeyRange.bound([`${id}/`, 0], [`${id}/\uffff`, Infinity]));
+        await this.helper.delete(this.stores.downloads, id);
+        this.records.delete(id);
+
+        this.settle(id, createCancelledError());
+        this.notify(record);
+        logger.log(`[Downloads] Cancelled ${id}`);
+    }
+
+    /**
+     * Drop every download record (and partial chunks) for a model, e.g. after
+     * its cached files were deleted.
+     */
+    async forget(modelId) {
+        await this.initialize();
+
+        const ids = Array.from(this.records.values())
+            .filter(record => record.modelId === modelId)
+            .map(record => record.id);
+
+        for (const id of ids) {
+            await this.cancel(id);
+        }
+    }
+
+    async clear() {
+        await this.initialize();
+
+        for (const id of Array.from(this.records.keys())) {
+            await this.cancel(id);
+        }
+        await this.helper.clear(this.stores.chunks);
+    }
+
+    waitFor(id) {
+        return new Promise((resolve, reject) => {
+            if (!this.waiters.has(id)) {
+                this.waiters.set(id, []);
+            }
+            this.waiters.get(id).push({ resolve, reject });
+        });
+    }
+
+    settle(id, error, result) {
+        const waiters = this.waiters.get(id) || [];
+        this.waiters.delete(id);
+        waiters.forEach(waiter => error ? waiter.reject(error) : waiter.resolve(result));
+    }
+
+    recordProgress(record) {
+        const runtime = this.active.get(record.id);
+        if (!runtime) return;
+
+        const now = performance.now();
+        runtime.samples.push({ time: now, bytes: this.getReceivedBytes(record) });
+        while (runtime.samples.length > 2 && now - runtime.samples[0].time > SPEED_WINDOW_MS) {
+            runtime.samples.shift();
+        }
+
+        if (now - runtime.lastNotify >= NOTIFY_INTERVAL_MS) {
+            runtime.lastNotify = now;
+            this.notify(record);
+        }
+    }
+
+    getReceivedBytes(record) {
+        return record.files.reduce((sum, file) => sum + file.received, 0);
+    }
+
+    getTotalBytes(record) {
+        return record.files.reduce((sum, file) => sum + file.size, 0);
+    }
+
+    describe(record) {
+        const received = this.getReceivedBytes(record);
+        const total = this.getTotalBytes(record);
+
+        let speed = 0;
+        const samples = this.active.get(record.id)?.samples || [];
+        if (samples.length >= 2) {
+            const first = samples[0];
+            const last = samples[samples.length - 1];
+            const seconds = (last.time - first.time) / 1000;
+            speed = seconds > 0 ? (last.bytes - first.bytes) / seconds : 0;
+        }
+
+        return {
+            id: record.id,
+            modelId: record.modelId,
+            dtype: record.dtype,
+            status: record.status,
+            error: record.error,
+            received,
+            total,
+            progress: total > 0 ? (received / total) * 100 : 0,
+            speed,
+            eta: speed > 0 ? (total - received) / speed : null,
+            fileCount: record.files.length
+        };
+    }
+
+    getDownloads() {
+        return Array.from(this.records.values()).map(record => this.describe(record));
+    }
+
+    getDownload(modelId, dtype) {
+        const record = this.records.get(this.downloadId(modelId, this.resolveDtype(modelId, dtype)));
+        return record ? this.describe(record) : null;
+    }
+
+    onUpdate(callback) {
+        this.updateCallbacks.push(callback);
+        return () => {
+            const index = this.updateCallbacks.indexOf(callback);
+            if (index > -1) {
+                this.updateCallbacks.splice(index, 1);
+            }
+        };
+    }
+
+    notify(record) {
+        const download = this.describe(record);
+        this.updateCallbacks.forEach(callback => {
+            try {
+                callback(download);
+            } catch (error) {
+                logger.error('[Downloads] Update callback error:', error);
+            }
+        });
+    }
+
+    async save(record) {
+        // A cancelled download must not be written back by a late flush
+        if (record.status === 'cancelled') return;
+
+        record.updatedAt = Date.now();
+        this.records.set(record.id, record);
+        await this.helper.put(this.stores.downloads, record);
+    }
+
+    fileKey(record, file) {
+        return `${record.id}/${file.path}`;
+    }
+
+    chunkRange(fileKey) {
+        return IDBKeyRange.bound([fileKey, 0], [fileKey, Infinity]);
+    }
+
+    async getStoredBytes(fileKey) {
+        const chunks = await this.helper.getAll(this.stores.chunks, this.chunkRange(fileKey));
+        return chunks.reduce((sum, chunk) => sum + chunk.blob.size, 0);
+    }
+
+    async deleteChunks(fileKey) {
+        await this.helper.delete(this.stores.chunks, this.chunkRange(fileKey));
+    }
+}
+
+// Create singleton instance
+const downloadManager = new DownloadManager();
+
+export { downloadManager, DownloadManager };
+
+export async function downloadModel(modelId, options) {
+    return downloadManager.download(modelId, options);
+}
+
+export async function ensureModelDownloaded(modelId, options) {
+    return downloadManager.ensureDownloaded(modelId, options);
+}
@@ -0,0 +1,123 @@
+// Dedicated module worker hosting the text-generation pipeline, so WASM/WebGPU
+// inference and long prefills never block the UI thread. The same ModelLoader
+// and ChatEngine modules run here in "local" mode; the main-thread instances
+// proxy to them through llm/worker-client.js.
+import { modelLoader } from './loader.js';
+import { chatEngine } from './chat-engine.js';
+import logger from '../utils/logger.js';
+
+// Active generations by request id, so 'abort' can reach the right one
+const generations = new Map();
+
+modelLoader.onProgress((event) => {
+    self.postMessage({ type: 'progress', event });
+});
+
+function reply(id, result) {
+    self.postMessage({ id, type: 'result', result });
+}
+
+function serializeError(error) {
+    return {
+        name: error?.name || 'Error',
+        message: error?.message || String(error)
+    };
+}
+
+async function handleGenerate(id, data) {
+    const abortController = new AbortController();
+    generations.set(id, abortController);
+
+    try {
+        const text = await chatEngine.generateStream({
+            messages: data.messages,
+            params: data.params,
+            systemPrompt: data.systemPrompt,
+            jsonSchema: data.jsonSchema,
+            tools: data.tools,
+            logprobs: data.logprobs,
+            topLogprobs: data.topLogprobs,
+            assistantPrefix: data.assistantPrefix,
+            thinking: data.thinking,
+            kvCache: data.kvCache,
+            signal: abortController.signal,
+            onToken: (text, stats) => {
+                self.postMessage({ id, type: 'token', text, stats });
+            },
+            onReasoning: (text, stats) => {
+                self.postMessage({ id, type: 'reasoning', text, stats });
+            },
+            onDone: (stats) => {
+                self.postMessage({ id, type: 'done', stats, metrics: chatEngine.getMetrics() });
+            },
+            onError: (error) => {
+                self.postMessage({ id, type: 'callback-error', error: serializeError(error) });
+            }
+        });
+
+        reply(id, text);
+    } finally {
+        generations.delete(id);
+    }
+}
+
+self.addEventListener('message', async (event) => {
+    const { id, type, ...data } = event.data || {};
+
+    try {
+        switch (type) {
+            case 'load': {
+                chatEngine.invalidateCache();
+                await modelLoader.loadLLM(data.modelId, data.options);
+                reply(id, { modelId: data.modelId });
+                break;
+            }
+            case 'unload': {
+                await modelLoader.unloadLLM();
+                reply(id, true);
+                break;
+            }
+            case 'load-draft': {
+                await modelLoader.loadDraftModel(data.modelId, data.options);
+                reply(id, { modelId: data.modelId });
+                break;
+            }
+            case 'unload-draft': {
+                await modelLoader.unloadDraftModel();
+                reply(id, true);
+                break;
+            }
+            case 'generate': {
+                await handleGenerate(id, data);
+                break;
+            }
+            case 'abort': {
+                generations.get(data.targetId)?.abort();
+                chatEngine.stop();
+                break;
+            }
+            case 'invalidate-cache': {
+                chatEngine.invalidateCache();
+                break;
+            }
+            case 'metrics': {
+                reply(id, chatEngine.getMetrics());
+                break;
+            }
+            case 'warmup': {
+                const pipeline = modelLoader.getTextGenerationPipeline();
+                reply(id, await modelLoader.warmup(pipeline, data.prompt));
+                break;
+            }
+            default:
+                logger.warn(`[InferenceWorker] Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        logger.error(`[InferenceWorker] ${type} failed:`, error);
+        if (id !== undefined) {
+            self.postMessage({ id, type: 'error', error: serializeError(error) });
+        }
+    }
+});
+
+logger.log('[InferenceWorker] Ready');
@@ -0,0 +1,583 @@
+import { LogitsProcessor } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.3';
+import logger from '../utils/logger.js';
+
+// Schema-constrained JSON decoding. JsonSchemaMatcher is an incremental,
+// character-level parser that only accepts prefixes of JSON documents valid
+// against a (subset of) JSON Schema. JsonSchemaLogitsProcessor runs it over
+// the tokenizer vocabulary at every step and masks tokens that would leave
+// that language, so the finished output always parses.
+//
+// Supported keywords: type (string or array), properties, required,
+// additionalProperties, items, minItems, maxItems, enum and const. Objects
+// with `properties` only accept the listed keys. Other keywords are ignored.
+
+const WHITESPACE = ' \t\n\r';
+const DIGITS = '0123456789';
+const HEX_DIGITS = '0123456789abcdefABCDEF';
+const ESCAPES = '"\\/bfnrt';
+// Keeps the model from stalling on endless whitespace or digits
+const MAX_WHITESPACE = 24;
+const MAX_NUMBER_LENGTH = 24;
+const ALL_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const NUMBER_END_PHASES = ['zero', 'int', 'frac', 'exp'];
+
+const DONE_STATE = Object.freeze({ frame: { kind: 'done' }, parent: null, ws: 0 });
+
+// Parsed schema details, memoized per schema object
+const schemaInfoCache = new WeakMap();
+// Decoded vocabulary, memoized per tokenizer
+const vocabularyCache = new WeakMap();
+
+class JsonSchemaMatcher {
+    constructor(schema = {}) {
+        this.schema = schema && typeof schema === 'object' ? schema : {};
+    }
+
+    initialState() {
+        return { frame: { kind: 'value', schema: this.schema }, parent: DONE_STATE, ws: 0 };
+    }
+
+    /**
+     * True when the text fed so far is a complete document. A top-level
+     * number (or numeric enum) is complete as soon as it could end.
+     */
+    isComplete(state) {
+        if (state.frame.kind === 'done') {
+            return true;
+        }
+        return state.parent?.frame.kind === 'done' && this.canEndImplicitly(state.frame);
+    }
+
+    feed(state, text) {
+        let current = state;
+        for (let i = 0; i < text.length && current; i++) {
+            current = this.step(current, text[i]);
+        }
+        return current;
+    }
+
+    /**
+     * Advance `state` by one character; returns the next state, or null when
+     * the character can't appear there.
+     */
+    step(state, c) {
+        switch (state.frame.kind) {
+            case 'value':
+                return WHITESPACE.includes(c) ? this.skipWhitespace(state) : this.startValue(state, c);
+            case 'object':
+                return this.stepObject(state, c);
+            case 'array':
+                return this.stepArray(state, c);
+            case 'string':
+                return this.stepString(state, c);
+            case 'number':
+                return this.stepNumber(state, c);
+            case 'enum':
+                return this.stepEnum(state, c);
+            default:
+                return null;
+        }
+    }
+
+    skipWhitespace(state) {
+        return state.ws < MAX_WHITESPACE ? { ...state, ws: state.ws + 1 } : null;
+    }
+
+    getSchemaInfo(schema) {
+        if (!schemaInfoCache.has(schema)) {
+            const info = {};
+
+            if (schema.const !== undefined) {
+                info.allowed = [JSON.stringify(schema.const)];
+            } else if (Array.isArray(schema.enum)) {
+                info.allowed = schema.enum.map(value => JSON.stringify(value));
+            } else {
+                let types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : null;
+                if (!types) {
+                    types = schema.properties ? ['object'] : schema.items ? ['array'] : ALL_TYPES;
+                }
+                info.types = new Set(types);
+            }
+
+            if (schema.properties) {
+                info.keys = Object.keys(schema.properties).map(name => ({
+                    name,
+                    encoded: JSON.stringify(name).slice(1, -1)
+                }));
+            }
+            info.required = Array.isArray(schema.required) ? schema.required : [];
+
+            schemaInfoCache.set(schema, info);
+        }
+        return schemaInfoCache.get(schema);
+    }
+
+    startValue(state, c) {
+        const schema = state.frame.schema;
+        const info = this.getSchemaInfo(schema);
+        const parent = state.parent;
+
+        if (info.allowed) {
+            return this.stepEnum({ frame: { kind: 'enum', allowed: info.allowed, text: '' }, parent, ws: 0 }, c);
+        }
+
+        const { types } = info;
+        if (c === '{' && types.has('object')) {
+            return { frame: { kind: 'object', schema, phase: 'start', seen: [], key: null }, parent, ws: 0 };
+        }
+        if (c === '[' && types.has('array')) {
+            return { frame: { kind: 'array', schema, phase: 'start', count: 0 }, parent, ws: 0 };
+        }
+        if (c === '"' && types.has('string')) {
+            return { frame: { kind: 'string', role: 'value', escape: null, text: '' }, parent, ws: 0 };
+        }
+        if ((c === 't' || c === 'f') && types.has('boolean')) {
+            return this.stepEnum({ frame: { kind: 'enum', allowed: ['true', 'false'], text: '' }, parent, ws: 0 }, c);
+        }
+        if (c === 'n' && types.has('null')) {
+            return this.stepEnum({ frame: { kind: 'enum', allowed: ['null'], text: '' }, parent, ws: 0 }, c);
+        }
+        if ((c === '-' || DIGITS.includes(c)) && (types.has('number') || types.has('integer'))) {
+            const integer = !types.has('number');
+            return this.stepNumber({ frame: { kind: 'number', integer, phase: 'start', length: 0 }, parent, ws: 0 }, c);
+        }
+        return null;
+    }
+
+    /**
+     * Return to the container that `parent` holds once one of its values is
+     * complete.
+     */
+    endValue(parent) {
+        const frame = parent.frame;
+        if (frame.kind === 'object') {
+            return { frame: { ...frame, phase: 'next', seen: [...frame.seen, frame.key], key: null }, parent: parent.parent, ws: 0 };
+        }
+        if (frame.kind === 'array') {
+            return { frame: { ...frame, phase: 'next', count: frame.count + 1 }, parent: parent.parent, ws: 0 };
+        }
+        return parent;
+    }
+
+    canEndImplicitly(frame) {
+        if (frame.kind === 'number') {
+            return NUMBER_END_PHASES.includes(frame.phase);
+        }
+        if (frame.kind === 'enum') {
+            return frame.allowed.includes(frame.text);
+        }
+        return false;
+    }
+
+    stepObject(state, c) {
+        const frame = state.frame;
+        const info = this.getSchemaInfo(frame.schema);
+
+        if (WHITESPACE.includes(c)) {
+            return this.skipWhitespace(state);
+        }
+
+        const remainingKeys = () => (info.keys
+            ? info.keys.filter(key => !frame.seen.includes(key.name))
+            : null);
+        const canClose = () => info.required.every(name => frame.seen.includes(name));
+        const startKey = () => {
+            const allowed = remainingKeys();
+            if (allowed && allowed.length === 0) {
+                return null;
+            }
+            return {
+                frame: { kind: 'string', role: 'key', allowed, escape: null, text: '' },
+                parent: { frame: { ...frame, phase: 'key' }, parent: state.parent, ws: 0 },
+                ws: 0
+            };
+        };
+
+        switch (frame.phase) {
+            case 'start':
+                if (c === '"') return startKey();
+                if (c === '}' && canClose()) return this.endValue(state.parent);
+                return null;
+            case 'next':
+                if (c === ',' && (!info.keys || remainingKeys().length > 0)) {
+                    return { frame: { ...frame, phase: 'keyStart' }, parent: state.parent, ws: 0 };
+                }
+                if (c === '}' && canClose()) return this.endValue(state.parent);
+                return null;
+            case 'keyStart':
+                return c === '"' ? startKey() : null;
+            case 'colon': {
+                if (c !== ':') return null;
+                return {
+                    frame: { kind: 'value', schema: this.getPropertySchema(frame.schema, frame.key) },
+                    parent: { frame: { ...frame, phase: 'value' }, parent: state.parent, ws: 0 },
+                    ws: 0
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    getPropertySchema(schema, key) {
+        if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+            return schema.properties[key] || {};
+        }
+        return typeof schema.additionalProperties === 'object' ? schema.additionalProperties : {};
+    }
+
+    stepArray(state, c) {
+        const frame = state.frame;
+        const { minItems = 0, maxItems = Infinity } = frame.schema;
+
+        if (WHITESPACE.includes(c)) {
+            return this.skipWhitespace(state);
+        }
+
+        const startItem = () => {
+            if (frame.count >= maxItems) {
+                return null;
+            }
+            const itemSchema = typeof frame.schema.items === 'object' && !Array.isArray(frame.schema.items)
+                ? frame.schema.items
+                : {};
+            return this.startValue({
+                frame: { kind: 'value', schema: itemSchema },
+                parent: { frame: { ...frame, phase: 'value' }, parent: state.parent, ws: 0 },
+                ws: 0
+            }, c);
+        };
+
+        switch (frame.phase) {
+            case 'start':
+                if (c === ']') return frame.count >= minItems ? this.endValue(state.parent) : null;
+                return startItem();
+            case 'next':
+                if (c === ',') {
+                    return frame.count < maxItems ? { frame: { ...frame, phase: 'item' }, parent: state.parent, ws: 0 } : null;
+                }
+                if (c === ']') return frame.count >= minItems ? this.endValue(state.parent) : null;
+                return null;
+            case 'item':
+                return startItem();
+            default:
+                return null;
+        }
+    }
+
+    stepString(state, c) {
+        const frame = state.frame;
+
+        // Keys limited to known property names match their JSON-encoded form
+        if (frame.allowed) {
+            if (c === '"' && frame.allowed.some(key => key.encoded === frame.text)) {
+                return this.endString(state);
+            }
+            const text = frame.text + c;
+            return frame.allowed.some(key => key.encoded.startsWith(text))
+                ? { frame: { ...frame, text }, parent: state.parent, ws: 0 }
+                : null;
+        }
+
+        let escape = frame.escape;
+        if (escape === null) {
+            if (c === '"') return this.endString(state);
+            if (c === '\\') {
+                escape = 'start';
+            } else if (c < ' ') {
+                return null;
+            }
+        } else if (escape === 'start') {
+            if (c === 'u') {
+                escape = 4;
+            } else if (ESCAPES.includes(c)) {
+                escape = null;
+            } else {
+                return null;
+            }
+        } else {
+            if (!HEX_DIGITS.includes(c)) return null;
+            escape = escape > 1 ? escape - 1 : null;
+        }
+
+        // Only keys need their text; values are checked, not kept
+        const text = frame.role === 'key' ? frame.text + c : frame.text;
+        return { frame: { ...frame, escape, text }, parent: state.parent, ws: 0 };
+    }
+
+    endString(state) {
+        const frame = state.frame;
+        if (frame.role !== 'key') {
+            return this.endValue(state.parent);
+        }
+
+        let key;
+        try {
+            key = JSON.parse(`"${frame.text}"`);
+        } catch (error) {
+            return null;
+        }
+
+        const object = state.parent.frame;
+        if (object.seen.includes(key)) {
+            return null;
+        }
+        return { frame: { ...object, phase: 'colon', key }, parent: state.parent.parent, ws: 0 };
+    }
+
+    stepNumber(state, c) {
+        const frame = state.frame;
+        const isDigit = DIGITS.includes(c);
+        const isExponent = (c === 'e' || c === 'E') && !frame.integer;
+        let phase = null;
+
+        switch (frame.phase) {
+            case 'start':
+                phase = c === '-' ? 'sign' : c === '0' ? 'zero' : isDigit ? 'int' : null;
+                break;
+            case 'sign':
+                phase = c === '0' ? 'zero' : isDigit ? 'int' : null;
+                break;
+            case 'zero':
+                phase = c === '.' && !frame.integer ? 'dot' : isExponent ? 'e' : null;
+                break;
+            case 'int':
+                phase = isDigit ? 'int' : c === '.' && !frame.integer ? 'dot' : isExponent ? 'e' : null;
+                break;
+            case 'dot':
+                phase = isDigit ? 'frac' : null;
+                break;
+            case 'frac':
+                phase = isDigit ? 'frac' : isExponent ? 'e' : null;
+                break;
+            case 'e':
+                phase = c === '+' || c === '-' ? 'esign' : isDigit ? 'exp' : null;
+                break;
+            case 'esign':
+            case 'exp':
+                phase = isDigit ? 'exp' : null;
+                break;
+        }
+
+        if (phase && frame.length < MAX_NUMBER_LENGTH) {
+            return { frame: { ...frame, phase, length: frame.length + 1 }, parent: state.parent, ws: 0 };
+        }
+
+        // Anything else ends the number and belongs to the enclosing value
+        if (NUMBER_END_PHASES.includes(frame.phase) && !phase) {
+            const parent = this.endValue(state.parent);
+            return parent.frame.kind === 'done' ? null : this.step(parent, c);
+        }
+        return null;
+    }
+
+    stepEnum(state, c) {
+        const frame = state.frame;
+        const text = frame.text + c;
+
+        if (frame.allowed.some(value => value.startsWith(text))) {
+            const longer = frame.allowed.some(value => value.length > text.length && value.startsWith(text));
+            if (frame.allowed.includes(text) && !longer) {
+                return this.endValue(state.parent);
+            }
+            return { frame: { ...frame, text }, parent: state.parent, ws: 0 };
+        }
+
+        // A value like `1` when `12` was also allowed ends at the next character
+        if (frame.allowed.includes(frame.text)) {
+            const parent = this.endValue(state.parent);
+            return parent.frame.kind === 'done' ? null : this.step(parent, c);
+        }
+        return null;
+    }
+}
+
+/**
+ * Token ids sorted by text so that tokens sharing a prefix are adjacent, plus
+ * `lcp[k]`, the common prefix length of order[k] and order[k-1], letting the
+ * matcher reuse parser states along shared prefixes.
+ */
+function sortByText(ids, texts) {
+    const order = ids.sort((a, b) => (texts[a] < texts[b] ? -1 : texts[a] > texts[b] ? 1 : 0));
+
+    const lcp = new Int32Array(order.length);
+    for (let k = 1; k < order.length; k++) {
+        const previous = texts[order[k - 1]];
+        const current = texts[order[k]];
+        let length = 0;
+        while (length < previous.length && length < current.length && previous[length] === current[length]) {
+            length++;
+        }
+        lcp[k] = length;
+    }
+
+    return { order, lcp };
+}
+
+/**
+ * Decoded text of every token id, indexed for the matcher. Tokens that can
+ * sit inside a JSON string as-is (no quote, backslash or control character)
+ * are kept apart: inside a string they are always allowed, which spares
+ * walking most of the vocabulary on every step.
+ */
+function getVocabulary(tokenizer) {
+    if (vocabularyCache.has(tokenizer)) {
+        return vocabularyCache.get(tokenizer);
+    }
+
+    const startTime = performance.now();
+    const size = tokenizer.model?.vocab?.length || 0;
+    const decodeOptions = { skip_special_tokens: true, clean_up_tokenization_spaces: false };
+
+    // Decode after an anchor token so leading spaces (e.g. SentencePiece's ▁) survive
+    const anchor = tokenizer.encode('a', { add_special_tokens: false })[0];
+    const anchorText = tokenizer.decode([anchor], decodeOptions);
+
+    const texts = new Array(size);
+    for (let id = 0; id < size; id++) {
+        const decoded = tokenizer.decode([anchor, id], decodeOptions);
+        texts[id] = decoded.startsWith(anchorText) ? decoded.slice(anchorText.length) : '';
+    }
+
+    const ids = Array.from({ length: size }, (_, id) => id).filter(id => texts[id].length > 0);
+    const inStringPattern = /^[^"\\\u0000-\u001f]+$/;
+    const stringSafe = ids.filter(id => inStringPattern.test(texts[id]));
+
+    const vocabulary = {
+        texts,
+        size,
+        all: sortByText(ids, texts),
+        stringSafe,
+        stringUnsafe: sortByText(ids.filter(id => !inStringPattern.test(texts[id])), texts)
+    };
+    vocabularyCache.set(tokenizer, vocabulary);
+    logger.log(`[JsonConstraint] Indexed ${ids.length} tokens in ${(performance.now() - startTime).toFixed(0)}ms`);
+    return vocabulary;
+}
+
+class JsonSchemaLogitsProcessor extends LogitsProcessor {
+    /**
+     * @param {Object} tokenizer The generating model's tokenizer
+     * @param {Object} schema JSON Schema the output must satisfy
+     * @param {number[]} eosTokenIds Tokens allowed once the document is complete
+     */
+    constructor(tokenizer, schema, eosTokenIds) {
+        super();
+        this.matcher = new JsonSchemaMatcher(schema);
+        this.vocabulary = getVocabulary(tokenizer);
+        this.eosTokenIds = eosTokenIds;
+        this.state = this.matcher.initialState();
+        this.promptLength = null;
+        this.consumed = 0;
+    }
+
+    _call(input_ids, logits) {
+        // Constrained decoding is sequential per sequence; only batch 0 is tracked
+        const ids = input_ids[0];
+        if (this.promptLength === null) {
+            this.promptLength = ids.length;
+        }
+
+        // Advance the parser by the tokens sampled since the last step
+        for (let i = this.promptLength + this.consumed; i < ids.length; i++) {
+            const text = this.vocabulary.texts[Number(ids[i])] || '';
+            this.state = this.state && this.matcher.feed(this.state, text);
+            this.consumed++;
+        }
+
+        const data = logits[0].data;
+        if (!this.state) {
+            // Should not happen; leave the distribution alone rather than mask everything
+            return logits;
+        }
+
+        const allowed = this.getAllowedTokens(this.state);
+        for (let id = 0; id < data.length; id++) {
+            if (!allowed[id]) {
+                data[id] = -Infinity;
+            }
+        }
+        return logits;
+    }
+
+    getAllowedTokens(state) {
+        const { size, all, stringSafe, stringUnsafe } = this.vocabulary;
+        const allowed = new Uint8Array(Math.max(size, ...this.eosTokenIds.map(id => id + 1)));
+        let anyAllowed;
+
+        const frame = state.frame;
+        if (frame.kind === 'string' && !frame.allowed && frame.escape === null) {
+            stringSafe.forEach(id => {
+                allowed[id] = 1;
+            });
+            anyAllowed = this.markValidTokens(state, stringUnsafe, allowed) || stringSafe.length > 0;
+        } else {
+            anyAllowed = this.markValidTokens(state, all, allowed);
+        }
+
+        if (this.matcher.isComplete(state) || !anyAllowed) {
+            this.eosTokenIds.forEach(id => {
+                allowed[id] = 1;
+            });
+        }
+
+        return allowed;
+    }
+
+    /**
+     * Set `allowed[id]` for every token in the sorted `order` the matcher
+     * accepts from `state`; returns whether any was.
+     */
+    markValidTokens(state, { order, lcp }, allowed) {
+        const { texts } = this.vocabulary;
+        let anyAllowed = false;
+
+        // states[d] is the parser after the first d characters of the current token
+        const states = [state];
+        let validDepth = 0;
+        let deadDepth = Infinity;
+
+        for (let k = 0; k < order.length; k++) {
+            const id = order[k];
+            const text = texts[id];
+            const shared = lcp[k];
+
+            // Shares a prefix that already failed
+            if (shared >= deadDepth) {
+                continue;
+            }
+            deadDepth = Infinity;
+
+            let depth = Math.min(shared, validDepth);
+            let current = states[depth];
+            while (depth < text.length) {
+                current = this.matcher.step(current, text[depth]);
+                depth++;
+                if (!current) break;
+                states[depth] = current;
+            }
+
+            if (!current) {
+                deadDepth = depth;
+                validDepth = depth - 1;
+                continue;
+            }
+
+            validDepth = text.length;
+            allowed[id] = 1;
+            anyAllowed = true;
+        }
+
+        return anyAllowed;
+    }
+}
+
+/**
+ * Logits processor that keeps generation inside `schema` (true or {} for any
+ * JSON value).
+ */
+function createJsonSchemaProcessor(tokenizer, schema, eosTokenIds) {
+    return new JsonSchemaLogitsProcessor(tokenizer, schema === true ? {} : schema, eosTokenIds);
+}
+
+export { JsonSchemaMatcher, JsonSchemaLogitsProcessor, createJsonSchemaProcessor };
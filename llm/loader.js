@@ -1,15 +1,67 @@
 import { pipeline, env, AutoTokenizer } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.3';
+import { modelRegistry } from './models.js';
+import { localModelStore, LOCAL_MODEL_PATH } from './local-models.js';
+import { modelCache } from './model-cache.js';
+import { deviceProfile } from './device-profile.js';
 import logger from '../utils/logger.js';
 
+// Configurations tried, in order, after the preferred one fails to load. Entries
+// whose dtype a model doesn't publish, or that need WebGPU on a browser without
+// it, are skipped.
+const FALLBACK_CHAINS = {
+    llm: [
+        { device: 'webgpu', dtype: 'q4' },
+        { device: 'webgpu', dtype: 'fp16' },
+        { device: 'wasm', dtype: 'q8' },
+        { device: 'wasm', dtype: 'q4' }
+    ],
+    embedder: [
+        { device: 'webgpu', dtype: 'fp32' },
+        { device: 'wasm', dtype: 'fp32' },
+        { device: 'wasm', dtype: 'q8' }
+    ]
+};
+
+// Load failures worth retrying with another configuration, by kind
+const RETRYABLE_ERRORS = [
+    { kind: 'out-of-memory', pattern: /out of memory|\boom\b|bad_alloc|allocation fail|failed to allocate|array buffer allocation|memory access out of bounds/i },
+    { kind: 'adapter', pattern: /webgpu|adapter|gpu device|device (was )?lost|requestDevice/i },
+    { kind: 'backend', pattern: /no available backend|backend not found|not supported|unsupported/i },
+    { kind: 'missing-weights', pattern: /could not locate file|404/i }
+];
+
 class ModelLoader {
     constructor() {
         this.pipelines = {
             textGeneration: null,
-            featureExtraction: null
+            featureExtraction: null,
+            // Small LLM proposing tokens for speculative decoding
+            draft: null
         };
         this.tokenizers = {};
+        this.currentModels = {
+            llm: null,
+            embedder: null,
+            draft: null
+        };
+        // Device and dtype each loaded model is running with
+        this.currentConfigs = {
+            llm: null,
+            embedder: null,
+            draft: null
+        };
+        // How the last loadWithFallback call settled on its configuration
+        this.loadReports = {
+            llm: null,
+            embedder: null
+        };
         this.progressCallbacks = [];
         this.isInitialized = false;
+        this.worker = null;
+    }
+
+    useWorker(workerClient) {
+        this.worker = workerClient;
     }
 
     async initTransformers(options = {}) {
@@ -26,9 +78,15 @@ class ModelLoader {
         env.allowRemoteModels = true;
         env.allowLocalModels = options.allowLocalModels ?? true;
         env.useBrowserCache = true;
-
-        if (options.localModelPath) {
-            env.localModelPath = options.localModelPath;
+        env.localModelPath = options.localModelPath || LOCAL_MODEL_PATH;
+
+        if (localModelStore.isSupported()) {
+            // Serves imported local models from IndexedDB and passes remote models
+            // through to the usual browser cache (transformers.js only consults the
+            // custom cache when the built-in browser cache is off)
+            env.useBrowserCache = false;
+            env.useCustomCache = true;
+            env.customCache = localModelStore.createCache();
         }
 
         if (self.crossOriginIsolated) {
@@ -46,8 +104,20 @@ class ModelLoader {
             await this.initTransformers(options);
         }
 
+        const model = modelRegistry.getModel(modelId);
         const device = this.detectDevice(options.device);
-        const dtype = options.dtype || 'q4';
+        const dtype = options.dtype || model?.defaultDtype || 'q4';
+
+        // Hot-swap: release the current pipeline before pulling in another model
+        if (this.pipelines.textGeneration || this.currentModels.llm) {
+            await this.unloadLLM();
+        }
+
+        if (this.worker) {
+            return this.loadLLMInWorker(modelId, { ...options, device, dtype });
+        }
+
+        this.configureModelSource(modelId);
 
         logger.log(`[ModelLoader] Loading LLM: ${modelId} with dtype: ${dtype} on device: ${device}`);
 
@@ -65,6 +135,8 @@ class ModelLoader {
             );
 
             this.tokenizers[modelId] = await AutoTokenizer.from_pretrained(modelId);
+            this.currentModels.llm = modelId;
+            this.currentConfigs.llm = { device, dtype };
 
             logger.log('[ModelLoader] LLM loaded successfully');
             this.notifyProgress({ status: 'ready', name: modelId, type: 'llm' });
@@ -87,12 +159,23 @@ class ModelLoader {
             await this.initTransformers(options);
         }
 
+        const model = modelRegistry.getModel(modelId);
         const device = this.detectDevice(options.device);
-        const dtype = options.dtype || 'fp32';
+        const dtype = options.dtype || model?.defaultDtype || 'fp32';
+
+        // Reuse the loaded pipeline unless a different configuration was asked for
+        const current = this.currentConfigs.embedder;
+        if (this.pipelines.featureExtraction && this.currentModels.embedder === modelId && current &&
+            (!options.device || current.device === device) && (!options.dtype || current.dtype === dtype)) {
+            return this.pipelines.featureExtraction;
+        }
+
+        this.configureModelSource(modelId);
 
         logger.log(`[ModelLoader] Loading embedder: ${modelId} with dtype: ${dtype} on device: ${device}`);
 
         const progressCallback = this.createProgressCallback(modelId, 'embedder');
+        const previousPipeline = this.pipelines.featureExtraction;
 
         try {
             this.pipelines.featureExtraction = await pipeline(
@@ -105,6 +188,15 @@ class ModelLoader {
                 }
             );
 
+            this.currentModels.embedder = modelId;
+            this.currentConfigs.embedder = { device, dtype };
+
+            if (previousPipeline && typeof previousPipeline.dispose === 'function') {
+                previousPipeline.dispose().catch(error => {
+                    logger.warn('[ModelLoader] Failed to dispose previous embedder:', error);
+                });
+            }
+
             logger.log('[ModelLoader] Embedder loaded successfully');
             this.notifyProgress({ status: 'ready', name: modelId, type: 'embedder' });
 
@@ -121,6 +213,292 @@ class ModelLoader {
         }
     }
 
+    async loadLLMInWorker(modelId, options) {
+        logger.log(`[ModelLoader] Loading LLM in worker: ${modelId} with dtype: ${options.dtype} on device: ${options.device}`);
+
+        // Progress, ready and error events are forwarded from the worker's own loader
+        await this.worker.request('load', {
+            modelId,
+            options: {
+                device: options.device,
+                dtype: options.dtype,
+                allowLocalModels: options.allowLocalModels,
+                localModelPath: options.localModelPath
+            }
+        });
+
+        // Keep a tokenizer on this thread for token counting without a worker round-trip
+        this.configureModelSource(modelId);
+        this.tokenizers[modelId] = await AutoTokenizer.from_pretrained(modelId);
+        this.currentModels.llm = modelId;
+        this.currentConfigs.llm = { device: options.device, dtype: options.dtype };
+
+        // Stand-in for the pipeline object, which lives in the worker
+        return {
+            task: 'text-generation',
+            modelId,
+            remote: true
+        };
+    }
+
+    async unloadLLM() {
+        const pipeline = this.pipelines.textGeneration;
+        const modelId = this.currentModels.llm;
+
+        if (this.worker && modelId) {
+            try {
+                await this.worker.request('unload');
+            } catch (error) {
+                logger.warn('[ModelLoader] Failed to unload LLM in worker:', error);
+            }
+        }
+
+        this.pipelines.textGeneration = null;
+        this.currentModels.llm = null;
+        this.currentConfigs.llm = null;
+        if (modelId) {
+            delete this.tokenizers[modelId];
+        }
+
+        if (pipeline && typeof pipeline.dispose === 'function') {
+            try {
+                // Frees the ONNX session (and its GPU buffers on WebGPU)
+                await pipeline.dispose();
+            } catch (error) {
+                logger.warn('[ModelLoader] Failed to dispose LLM pipeline:', error);
+            }
+        }
+
+        if (modelId) {
+            logger.log(`[ModelLoader] Unloaded LLM: ${modelId}`);
+            this.notifyProgress({ status: 'unloaded', name: modelId, type: 'llm' });
+        }
+    }
+
+    /**
+     * Load a small LLM next to the main one for ChatEngine to draft tokens
+     * with. It always runs on WASM: speculative decoding cuts rejected tokens
+     * out of CPU-side KV caches.
+     */
+    async loadDraftModel(modelId, options = {}) {
+        if (!this.isInitialized) {
+            await this.initTransformers(options);
+        }
+
+        const model = modelRegistry.getModel(modelId);
+        const device = 'wasm';
+        const dtype = options.dtype || model?.defaultDtype || 'q4';
+
+        const current = this.currentConfigs.draft;
+        if (this.currentModels.draft === modelId && current?.dtype === dtype) {
+            return this.pipelines.draft;
+        }
+        await this.unloadDraftModel();
+
+        if (this.worker) {
+            logger.log(`[ModelLoader] Loading draft model in worker: ${modelId} with dtype: ${dtype}`);
+            await this.worker.request('load-draft', { modelId, options: { dtype } });
+            this.currentModels.draft = modelId;
+            this.currentConfigs.draft = { device, dtype };
+
+            // Stand-in for the pipeline object, which lives in the worker
+            this.pipelines.draft = {
+                task: 'text-generation',
+                modelId,
+                remote: true
+            };
+            return this.pipelines.draft;
+        }
+
+        this.configureModelSource(modelId);
+
+        logger.log(`[ModelLoader] Loading draft model: ${modelId} with dtype: ${dtype} on device: ${device}`);
+
+        try {
+            this.pipelines.draft = await pipeline(
+                'text-generation',
+                modelId,
+                {
+                    dtype,
+                    device,
+                    progress_callback: this.createProgressCallback(modelId, 'draft')
+                }
+            );
+
+            this.currentModels.draft = modelId;
+            this.currentConfigs.draft = { device, dtype };
+
+            logger.log('[ModelLoader] Draft model loaded successfully');
+            this.notifyProgress({ status: 'ready', name: modelId, type: 'draft' });
+
+            return this.pipelines.draft;
+        } catch (error) {
+            logger.error('[ModelLoader] Failed to load draft model:', error);
+            this.notifyProgress({
+                status: 'error',
+                name: modelId,
+                type: 'draft',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async unloadDraftModel() {
+        const pipeline = this.pipelines.draft;
+        const modelId = this.currentModels.draft;
+
+        if (this.worker && modelId) {
+            try {
+                await this.worker.request('unload-draft');
+            } catch (error) {
+                logger.warn('[ModelLoader] Failed to unload draft model in worker:', error);
+            }
+        }
+
+        this.pipelines.draft = null;
+        this.currentModels.draft = null;
+        this.currentConfigs.draft = null;
+
+        if (pipeline && typeof pipeline.dispose === 'function') {
+            try {
+                await pipeline.dispose();
+            } catch (error) {
+                logger.warn('[ModelLoader] Failed to dispose draft model:', error);
+            }
+        }
+
+        if (modelId) {
+            logger.log(`[ModelLoader] Unloaded draft model: ${modelId}`);
+        }
+    }
+
+    /**
+     * Load a model, walking down a chain of backend/dtype configurations when
+     * the preferred one fails with an adapter, backend or out-of-memory error.
+     * The configuration that works is remembered for this device and tried
+     * first next time. `options.prepare(config)` runs before each attempt
+     * (e.g. to fetch weights); its errors are never retried.
+     */
+    async loadWithFallback(type, modelId, options = {}) {
+        const { prepare, ...loadOptions } = options;
+        const profile = await deviceProfile.get(modelId);
+        const chain = this.buildFallbackChain(type, modelId, loadOptions, profile);
+        const attempts = [];
+
+        for (const config of chain) {
+            if (prepare) {
+                await prepare(config);
+            }
+
+            try {
+                const attemptOptions = { ...loadOptions, device: config.device, dtype: config.dtype };
+                const result = type === 'llm'
+                    ? await this.loadLLM(modelId, attemptOptions)
+                    : await this.loadEmbedder(modelId, attemptOptions);
+
+                this.loadReports[type] = {
+                    modelId,
+                    device: config.device,
+                    dtype: config.dtype,
+                    source: config.source,
+                    attempts
+                };
+                await deviceProfile.record(modelId, config);
+
+                if (attempts.length > 0) {
+                    logger.log(`[ModelLoader] ${modelId} loaded with fallback ${config.device}/${config.dtype} after ${attempts.length} failed attempt(s)`);
+                }
+                return result;
+            } catch (error) {
+                const kind = this.classifyLoadError(error);
+                attempts.push({ device: config.device, dtype: config.dtype, kind, error: error.message });
+
+                if (!kind) {
+                    throw error;
+                }
+
+                logger.warn(`[ModelLoader] ${modelId} failed on ${config.device}/${config.dtype} (${kind}), trying next configuration`);
+                this.notifyProgress({
+                    status: 'fallback',
+                    name: modelId,
+                    type,
+                    device: config.device,
+                    dtype: config.dtype,
+                    reason: kind
+                });
+
+                // A remembered configuration that stopped working is no longer trusted
+                if (config.source === 'profile') {
+                    deviceProfile.forget(modelId);
+                }
+            }
+        }
+
+        const error = new Error(`No working configuration for ${modelId}: ${attempts.map(a => `${a.device}/${a.dtype} (${a.kind})`).join(', ')}`);
+        error.attempts = attempts;
+        throw error;
+    }
+
+    buildFallbackChain(type, modelId, options = {}, profile = null) {
+        const model = modelRegistry.getModel(modelId);
+        const hasWebGPU = typeof navigator !== 'undefined' && !!navigator.gpu;
+        // A device the user picked is kept for every attempt; only 'auto' falls back across devices
+        const forcedDevice = ['webgpu', 'wasm'].includes(options.device) ? options.device : null;
+        const candidates = [];
+
+        if (profile && (!options.device || options.device === profile.device) && (!options.dtype || options.dtype === profile.dtype)) {
+            candidates.push({ device: profile.device, dtype: profile.dtype, source: 'profile' });
+        }
+
+        candidates.push({
+            device: this.detectDevice(options.device),
+            dtype: options.dtype || model?.defaultDtype || (type === 'llm' ? 'q4' : 'fp32'),
+            source: 'preferred'
+        });
+
+        FALLBACK_CHAINS[type].forEach(config => {
+            candidates.push({ ...config, source: 'fallback' });
+        });
+
+        const seen = new Set();
+        return candidates.filter(config => {
+            const key = `${config.device}/${config.dtype}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+
+            if (forcedDevice) {
+                // Tried even without WebGPU, so the error says why the forced device can't load
+                if (config.device !== forcedDevice) return false;
+            } else if (config.device === 'webgpu' && !hasWebGPU) {
+                return false;
+            }
+            // The preferred configuration is always tried; fallbacks must match published weights
+            return config.source !== 'fallback' || !model?.dtypes || model.dtypes.includes(config.dtype);
+        });
+    }
+
+    classifyLoadError(error) {
+        const message = `${error?.name || ''} ${error?.message || error}`;
+        if (error?.name === 'RangeError') {
+            return 'out-of-memory';
+        }
+        return RETRYABLE_ERRORS.find(({ pattern }) => pattern.test(message))?.kind || null;
+    }
+
+    getLoadReport(type = 'llm') {
+        return this.loadReports[type];
+    }
+
+    getCurrentConfig(type = 'llm') {
+        return this.currentConfigs[type];
+    }
+
+    configureModelSource(modelId) {
+        // Imported models must never reach for the network
+        env.allowRemoteModels = !localModelStore.isLocalModel(modelId);
+    }
+
     detectDevice(preferredDevice) {
         if (preferredDevice && ['webgpu', 'wasm'].includes(preferredDevice)) {
             return preferredDevice;
@@ -239,10 +617,22 @@ class ModelLoader {
         return this.pipelines.featureExtraction;
     }
 
+    getDraftPipeline() {
+        return this.pipelines.draft;
+    }
+
     getTokenizer(modelId) {
         return this.tokenizers[modelId];
     }
 
+    getCurrentModel(type = 'llm') {
+        return this.currentModels[type];
+    }
+
+    getCurrentModelInfo(type = 'llm') {
+        return modelRegistry.getModel(this.currentModels[type]);
+    }
+
     async warmup(pipeline, prompt = 'Hello') {
         if (!pipeline) {
             throw new Error('Pipeline not loaded');
@@ -272,7 +662,11 @@ class ModelLoader {
 
     async clearCache() {
         try {
-            const databases = await indexedDB.databases();
+            // Model files live in Cache Storage, not IndexedDB
+            await modelCache.clearAll();
+
+            // Databases left behind by older transformers.js versions
+            const databases = await indexedDB.databases?.() || [];
             for (const db of databases) {
                 if (db.name && db.name.includes('transformers')) {
                     indexedDB.deleteDatabase(db.name);
@@ -289,7 +683,18 @@ class ModelLoader {
     dispose() {
         this.pipelines.textGeneration = null;
         this.pipelines.featureExtraction = null;
+        this.pipelines.draft = null;
         this.tokenizers = {};
+        this.currentModels = {
+            llm: null,
+            embedder: null,
+            draft: null
+        };
+        this.currentConfigs = {
+            llm: null,
+            embedder: null,
+            draft: null
+        };
         this.progressCallbacks = [];
         this.isInitialized = false;
     }
@@ -310,10 +715,26 @@ export async function loadLLM(modelId, options) {
     return modelLoader.loadLLM(modelId, options);
 }
 
+export async function unloadLLM() {
+    return modelLoader.unloadLLM();
+}
+
+export async function loadDraftModel(modelId, options) {
+    return modelLoader.loadDraftModel(modelId, options);
+}
+
+export async function unloadDraftModel() {
+    return modelLoader.unloadDraftModel();
+}
+
 export async function loadEmbedder(modelId, options) {
     return modelLoader.loadEmbedder(modelId, options);
 }
 
+export async function loadWithFallback(type, modelId, options) {
+    return modelLoader.loadWithFallback(type, modelId, options);
+}
+
 export function getPipelines() {
     return modelLoader.getPipelines();
 }
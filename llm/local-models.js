@@ -0,0 +1,232 @@
+import { IDBHelper } from '../utils/idb.js';
+import { dtypeFromFileName } from './models.js';
+import logger from '../utils/logger.js';
+
+// Models imported from a local folder live in IndexedDB and are handed to
+// transformers.js through env.customCache, keyed by the path it would request
+// under LOCAL_MODEL_PATH. No network access is needed to load them, and the
+// same store is readable from the inference worker.
+
+const LOCAL_MODEL_PATH = '/local-models/';
+const LOCAL_MODEL_PREFIX = 'local/';
+const BROWSER_CACHE_NAME = 'transformers-cache';
+
+class LocalModelStore {
+    constructor() {
+        this.dbName = 'llm-web-local-models';
+        this.version = 1;
+        this.helper = null;
+        this.stores = {
+            models: 'models',
+            files: 'files'
+        };
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async initialize() {
+        if (this.helper) {
+            return true;
+        }
+
+        this.helper = new IDBHelper(this.dbName, this.version);
+
+        await this.helper.open((db) => {
+            if (!db.objectStoreNames.contains(this.stores.models)) {
+                db.createObjectStore(this.stores.models, { keyPath: 'id' });
+            }
+
+            if (!db.objectStoreNames.contains(this.stores.files)) {
+                const fileStore = db.createObjectStore(this.stores.files, { keyPath: 'key' });
+                fileStore.createIndex('modelId', 'modelId', { unique: false });
+            }
+        });
+
+        return true;
+    }
+
+    isLocalModel(modelId) {
+        return typeof modelId === 'string' && modelId.startsWith(LOCAL_MODEL_PREFIX);
+    }
+
+    fileKey(modelId, path) {
+        return `${LOCAL_MODEL_PATH}${modelId}/${path}`;
+    }
+
+    /**
+     * Import a model folder. `entries` is a list of { path, file } where path is
+     * relative to the folder root (e.g. "onnx/model_q4.onnx").
+     */
+    async importModel(folderName, entries, onProgress) {
+        await this.initialize();
+
+        const files = this.normalizeEntries(entries);
+        const configEntry = files.find(entry => entry.path === 'config.json');
+        if (!configEntry) {
+            throw new Error('config.json not found. Pick the folder that contains the model config.');
+        }
+        if (!files.some(entry => entry.path === 'tokenizer.json')) {
+            throw new Error('tokenizer.json not found in the model folder.');
+        }
+
+        const dtypes = files
+            .map(entry => dtypeFromFileName(entry.path))
+            .filter(Boolean);
+        if (dtypes.length === 0) {
+            throw new Error('No ONNX weights found (expected onnx/model*.onnx).');
+        }
+
+        const config = JSON.parse(await configEntry.file.text());
+        const architectures = config.architectures || [];
+        const type = architectures.some(name => name.endsWith('ForCausalLM')) ? 'llm' : 'embedder';
+
+        const slug = folderName.trim().replace(/[^\w.-]+/g, '-') || `model-${Date.now()}`;
+        const modelId = `${LOCAL_MODEL_PREFIX}${slug}`;
+
+        // Replace any previous import under the same name
+        await this.deleteModel(modelId);
+
+        let totalSize = 0;
+        for (let i = 0; i < files.length; i++) {
+            const { path, file } = files[i];
+            await this.helper.put(this.stores.files, {
+                key: this.fileKey(modelId, path),
+                modelId,
+                path,
+                size: file.size,
+                blob: file
+            });
+            totalSize += file.size;
+
+            if (onProgress) {
+                onProgress({ current: i + 1, total: files.length, file: path });
+            }
+        }
+
+        const model = {
+            id: modelId,
+            type,
+            name: `${slug} (local)`,
+            params: `${(totalSize / (1024 * 1024)).toFixed(0)} MB`,
+            dtypes: [...new Set(dtypes)],
+            defaultDtype: this.pickDefaultDtype(dtypes, type),
+            contextLength: config.max_position_embeddings || 2048,
+            recommendedBackend: 'wasm',
+            chatTemplate: {
+                systemRole: true
+            },
+            local: true,
+            fileCount: files.length,
+            totalSize,
+            importedAt: Date.now()
+        };
+
+        await this.helper.put(this.stores.models, model);
+        logger.log(`[LocalModels] Imported ${modelId}: ${files.length} files, ${model.params}, dtypes: ${model.dtypes.join(', ')}`);
+
+        return model;
+    }
+
+    normalizeEntries(entries) {
+        return entries
+            .filter(entry => entry.file && !entry.path.split('/').some(part => part.startsWith('.')))
+            .map(entry => {
+                // transformers.js looks for weights under onnx/; accept flat folders too
+                if (entry.path.endsWith('.onnx') && !entry.path.includes('/')) {
+                    return { ...entry, path: `onnx/${entry.path}` };
+                }
+                if (/\.onnx_data(_\d+)?$/.test(entry.path) && !entry.path.includes('/')) {
+                    return { ...entry, path: `onnx/${entry.path}` };
+                }
+                return entry;
+            });
+    }
+
+    pickDefaultDtype(dtypes, type) {
+        const preference = type === 'llm'
+            ? ['q4', 'q4f16', 'q8', 'fp16', 'fp32']
+            : ['fp32', 'fp16', 'q8'];
+        return preference.find(dtype => dtypes.includes(dtype)) || dtypes[0];
+    }
+
+    async listModels() {
+        await this.initialize();
+        return this.helper.getAll(this.stores.models);
+    }
+
+    async deleteModel(modelId) {
+        await this.initialize();
+
+        const keys = await this.helper.getAllKeys(this.stores.files);
+        const prefix = this.fileKey(modelId, '');
+        for (const key of keys) {
+            if (key.startsWith(prefix)) {
+                await this.helper.delete(this.stores.files, key);
+            }
+        }
+
+        await this.helper.delete(this.stores.models, modelId);
+    }
+
+    async getFileRecord(key) {
+        await this.initialize();
+        return this.helper.get(this.stores.files, key);
+    }
+
+    /**
+     * Cache adapter for env.customCache. Local model paths are answered from
+     * IndexedDB; everything else is passed through to the regular browser cache
+     * so remote models keep their usual caching.
+     */
+    createCache() {
+        const browserCache = () => caches.open(BROWSER_CACHE_NAME);
+
+        return {
+            match: async (request) => {
+                const key = typeof request === 'string' ? request : request.url;
+
+                if (key.startsWith(LOCAL_MODEL_PATH)) {
+                    const record = await this.getFileRecord(key);
+                    if (!record) {
+                        return undefined;
+                    }
+                    return new Response(record.blob, {
+                        headers: { 'content-length': String(record.size) }
+                    });
+                }
+
+                return (await browserCache()).match(request);
+            },
+            put: async (request, response) => {
+                const key = typeof request === 'string' ? request : request.url;
+                if (key.startsWith(LOCAL_MODEL_PATH)) {
+                    return;
+                }
+                return (await browserCache()).put(request, response);
+            }
+        };
+    }
+}
+
+// Create singleton instance
+const localModelStore = new LocalModelStore();
+
+export { localModelStore, LocalModelStore, LOCAL_MODEL_PATH };
+
+export async function importLocalModel(folderName, entries, onProgress) {
+    return localModelStore.importModel(folderName, entries, onProgress);
+}
+
+export async function listLocalModels() {
+    return localModelStore.listModels();
+}
+
+export async function deleteLocalModel(modelId) {
+    return localModelStore.deleteModel(modelId);
+}
+
+export function isLocalModel(modelId) {
+    return localModelStore.isLocalModel(modelId);
+}
@@ -0,0 +1,154 @@
+import { LogitsProcessor } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.3';
+
+// Records how likely each generated token was, plus the most likely
+// alternatives at that step. It runs as the first logits processor, so it
+// sees the model's distribution before JSON masks or seeded sampling narrow
+// it; the streamer's token callback then reports which token was picked.
+// Entries follow the OpenAI shape: { token, logprob, top_logprobs: [{ token, logprob }] }.
+
+// Preceding tokens decoded along with each new one, enough for multi-token
+// characters and for the tokenizer to place leading spaces
+const DECODE_CONTEXT_TOKENS = 8;
+
+class LogprobsRecorder extends LogitsProcessor {
+    /**
+     * @param {Object} tokenizer The generating model's tokenizer
+     * @param {number} topLogprobs Alternatives to keep per token
+     */
+    constructor(tokenizer, topLogprobs = 5) {
+        super();
+        this.tokenizer = tokenizer;
+        this.topLogprobs = topLogprobs;
+        this.pending = null;
+        this.ids = [];
+        // First token whose text hasn't been assigned yet (a character can
+        // span several byte tokens)
+        this.textStart = 0;
+        this.entries = [];
+        this.drained = 0;
+        this.tokenTexts = new Map();
+    }
+
+    _call(input_ids, logits) {
+        const data = logits[0].data;
+
+        let max = -Infinity;
+        for (let id = 0; id < data.length; id++) {
+            if (data[id] > max) max = data[id];
+        }
+        let sum = 0;
+        for (let id = 0; id < data.length; id++) {
+            sum += Math.exp(data[id] - max);
+        }
+
+        // Later processors mask in place, so keep a copy to look the pick up in
+        this.pending = {
+            logits: data.slice(),
+            logZ: max + Math.log(sum),
+            top: this.findTop(data)
+        };
+        return logits;
+    }
+
+    findTop(data) {
+        const top = [];
+        for (let id = 0; id < data.length; id++) {
+            const value = data[id];
+            if (top.length === this.topLogprobs && value <= data[top[top.length - 1]]) {
+                continue;
+            }
+            let index = top.length;
+            while (index > 0 && data[top[index - 1]] < value) {
+                index--;
+            }
+            top.splice(index, 0, id);
+            if (top.length > this.topLogprobs) {
+                top.pop();
+            }
+        }
+        return top.map(id => ({ id, logit: data[id] }));
+    }
+
+    /**
+     * Streamer token callback: `tokens` were just sampled from the pending
+     * distribution. Prompt tokens arrive before any distribution and are
+     * ignored.
+     */
+    addTokens(tokens) {
+        for (const token of tokens) {
+            if (!this.pending) {
+                return;
+            }
+
+            const id = Number(token);
+            const { logits, logZ, top } = this.pending;
+            this.pending = null;
+
+            // Each entry gets what its token adds to the text before it. Only
+            // a short window is decoded, so this stays cheap however long the
+            // output gets; a character that is still incomplete goes to the
+            // token that completes it
+            this.ids.push(id);
+            const windowStart = Math.max(0, this.textStart - DECODE_CONTEXT_TOKENS);
+            const before = this.tokenizer.decode(this.ids.slice(windowStart, this.textStart), { skip_special_tokens: true });
+            const decoded = this.tokenizer.decode(this.ids.slice(windowStart), { skip_special_tokens: true });
+            let text = '';
+            if (!decoded.endsWith('\uFFFD') || this.ids.length - this.textStart > DECODE_CONTEXT_TOKENS) {
+                text = decoded.startsWith(before) ? decoded.slice(before.length) : '';
+                this.textStart = this.ids.length;
+            }
+
+            this.entries.push({
+                token: text,
+                logprob: logits[id] - logZ,
+                top_logprobs: top.map(alternative => ({
+                    token: this.getTokenText(alternative.id),
+                    logprob: alternative.logit - logZ
+                }))
+            });
+        }
+    }
+
+    getTokenText(id) {
+        if (!this.tokenTexts.has(id)) {
+            this.tokenTexts.set(id, this.tokenizer.decode([id], { skip_special_tokens: false }));
+        }
+        return this.tokenTexts.get(id);
+    }
+
+    /**
+     * Entries recorded since the last call, for streaming.
+     */
+    drain() {
+        const entries = this.entries.slice(this.drained);
+        this.drained = this.entries.length;
+        return entries;
+    }
+
+    /**
+     * All entries, cut to `text` when generation output was trimmed (stop
+     * sequences). With `start`, entries for the output before that offset
+     * (reasoning) are left out.
+     */
+    getLogprobs(text = null, start = 0) {
+        if (text === null && start === 0) {
+            return this.entries;
+        }
+
+        const end = text === null ? Infinity : text.length;
+        const entries = [];
+        let length = 0;
+        for (const entry of this.entries) {
+            if (length + entry.token.length > end) {
+                break;
+            }
+            if (length >= start) {
+                entries.push(entry);
+            }
+            length += entry.token.length;
+        }
+        return entries;
+    }
+}
+
+export { LogprobsRecorder };
@@ -0,0 +1,282 @@
+import { modelRegistry, dtypeFromFileName } from './models.js';
+import { downloadManager } from './download-manager.js';
+import { DEFAULT_VOICE } from '../tts/tts-engine.js';
+import logger from '../utils/logger.js';
+
+// Inspects the Cache Storage buckets model files end up in and groups their
+// entries by model. transformers.js (and the copy bundled with kokoro-js)
+// writes to transformers-cache, sw.js mirrors Kokoro requests into
+// tts-models-cache, and kokoro-js keeps voice embeddings in kokoro-voices.
+
+const MODEL_CACHE_NAMES = ['transformers-cache', 'tts-models-cache', 'kokoro-voices'];
+const HF_FILE_URL = /^https:\/\/huggingface\.co\/([^/]+\/[^/]+)\/resolve\/[^/]+\/(.+)$/;
+// Files every transformers.js model needs besides its weights
+const REQUIRED_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json'];
+// Where kokoro-js fetches voice embeddings from (and the cache it keeps them in)
+const KOKORO_VOICE_URL = 'https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/voices';
+const KOKORO_VOICE_CACHE = 'kokoro-voices';
+// Voices the app speaks with; downloaded along with the Kokoro weights
+const KOKORO_VOICES = [DEFAULT_VOICE];
+
+class ModelCache {
+    isSupported() {
+        return typeof caches !== 'undefined';
+    }
+
+    /**
+     * Map a cached URL to the catalog model it belongs to. Kokoro voices are
+     * served from a sibling repo, so anything Kokoro-82M is folded into the
+     * catalog's TTS entry.
+     */
+    parseUrl(url) {
+        const match = url.match(HF_FILE_URL);
+        if (!match) {
+            return null;
+        }
+
+        let modelId = match[1];
+        if (modelId.includes('Kokoro-82M')) {
+            modelId = modelRegistry.getDefaultModel('tts')?.id || modelId;
+        }
+
+        return { modelId, path: decodeURIComponent(match[2]) };
+    }
+
+    async listEntries() {
+        const entries = [];
+        if (!this.isSupported()) {
+            return entries;
+        }
+
+        const cacheNames = await caches.keys();
+        for (const cacheName of MODEL_CACHE_NAMES) {
+            if (!cacheNames.includes(cacheName)) continue;
+
+            const cache = await caches.open(cacheName);
+            for (const request of await cache.keys()) {
+                const parsed = this.parseUrl(request.url);
+                if (!parsed) continue;
+
+                const response = await cache.match(request);
+                let size = parseInt(response?.headers.get('content-length') || '', 10);
+                if (Number.isNaN(size)) {
+                    size = await this.getBodySize(response);
+                }
+
+                entries.push({ ...parsed, cacheName, url: request.url, size });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Byte length of a cached response without a content-length header. The
+     * body is streamed and counted, so multi-gigabyte weights are never held in
+     * memory at once.
+     */
+    async getBodySize(response) {
+        if (!response?.body) {
+            return 0;
+        }
+
+        const reader = response.body.getReader();
+        let size = 0;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            size += value.byteLength;
+        }
+        return size;
+    }
+
+    /**
+     * Cached models grouped by id, with file counts, sizes and the weight
+     * dtypes present. Catalog metadata is attached where the model is known.
+     */
+    async listCachedModels() {
+        const models = new Map();
+
+        for (const entry of await this.listEntries()) {
+            if (!models.has(entry.modelId)) {
+                const info = modelRegistry.getModel(entry.modelId);
+                models.set(entry.modelId, {
+                    modelId: entry.modelId,
+                    type: info?.type || 'unknown',
+                    label: modelRegistry.getLabel(entry.modelId),
+                    files: [],
+                    fileCount: 0,
+                    totalSize: 0,
+                    dtypes: [],
+                    caches: []
+                });
+            }
+
+            const model = models.get(entry.modelId);
+            // Kokoro files can sit in two caches; count them once but report the storage both use
+            if (!model.files.some(file => file.path === entry.path)) {
+                model.fileCount++;
+            }
+            model.files.push(entry);
+            model.totalSize += entry.size;
+
+            const dtype = dtypeFromFileName(entry.path);
+            if (dtype && !model.dtypes.includes(dtype)) {
+                model.dtypes.push(dtype);
+            }
+            if (!model.caches.includes(entry.cacheName)) {
+                model.caches.push(entry.cacheName);
+            }
+        }
+
+        return Array.from(models.values());
+    }
+
+    async deleteModel(modelId) {
+        const entries = (await this.listEntries()).filter(entry => entry.modelId === modelId);
+
+        for (const entry of entries) {
+            const cache = await caches.open(entry.cacheName);
+            await cache.delete(entry.url);
+        }
+
+        // Drop download records too, so a later load fetches the model again
+        await downloadManager.forget(modelId);
+
+        logger.log(`[ModelCache] Deleted ${entries.length} cached files for ${modelId}`);
+        return entries.length;
+    }
+
+    /**
+     * Check that a cached model has everything it needs to load offline. When
+     * the Hub is reachable, every cached dtype is compared file by file
+     * (including sizes); otherwise only the required files are checked.
+     */
+    async verifyModel(modelId) {
+        const cached = (await this.listEntries()).filter(entry => entry.modelId === modelId);
+        const byPath = new Map(cached.map(entry => [entry.path, entry]));
+        const dtypes = [...new Set(cached.map(entry => dtypeFromFileName(entry.path)).filter(Boolean))];
+
+        const result = {
+            modelId,
+            dtypes,
+            missing: [],
+            mismatched: [],
+            checkedAgainstHub: false,
+            complete: false
+        };
+
+        if (dtypes.length === 0) {
+            result.missing.push('onnx/model*.onnx');
+            return result;
+        }
+
+        try {
+            for (const dtype of dtypes) {
+                for (const file of await downloadManager.listFiles(modelId, dtype)) {
+                    const entry = byPath.get(file.path);
+                    if (!entry) {
+                        // generation_config.json is optional for the loader
+                        if (file.path !== 'generation_config.json' && !result.missing.includes(file.path)) {
+                            result.missing.push(file.path);
+                        }
+                    } else if (file.size && entry.size !== file.size && !result.mismatched.includes(file.path)) {
+                        result.mismatched.push(file.path);
+                    }
+                }
+            }
+            result.checkedAgainstHub = true;
+        } catch (error) {
+            logger.warn(`[ModelCache] Could not reach the Hub to verify ${modelId}, checking required files only:`, error);
+            result.missing = REQUIRED_FILES.filter(path => !byPath.has(path));
+        }
+
+        // kokoro-js fetches voices on first use, so they are needed offline too
+        if (modelRegistry.getModel(modelId)?.type === 'tts') {
+            for (const voice of KOKORO_VOICES) {
+                if (!byPath.has(`voices/${voice}.bin`)) {
+                    result.missing.push(`voices/${voice}.bin`);
+                }
+            }
+        }
+
+        result.complete = result.missing.length === 0 && result.mismatched.length === 0;
+        return result;
+    }
+
+    /**
+     * Download a model ahead of time so it loads offline later. Kokoro picks
+     * its dtype from the device the same way TTSEngine does, and gets its
+     * voices as well.
+     */
+    async predownload(modelId, options = {}) {
+        const model = modelRegistry.getModel(modelId);
+        if (model?.type !== 'tts') {
+            return downloadManager.download(modelId, options);
+        }
+
+        const dtype = options.dtype || (navigator.gpu ? 'fp32' : 'q8');
+        const record = await downloadManager.download(modelId, { ...options, dtype });
+        await this.downloadVoices();
+        return record;
+    }
+
+    /**
+     * Store the voice embeddings under the URLs kokoro-js looks them up by.
+     */
+    async downloadVoices() {
+        const cache = await caches.open(KOKORO_VOICE_CACHE);
+
+        for (const voice of KOKORO_VOICES) {
+            const url = `${KOKORO_VOICE_URL}/${voice}.bin`;
+            if (await cache.match(url)) continue;
+
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} while downloading voice ${voice}`);
+            }
+            await cache.put(url, response);
+            logger.log(`[ModelCache] Downloaded voice ${voice}`);
+        }
+    }
+
+    /**
+     * Remove every cached model file and partial download. Imported local
+     * models and the app shell caches are left alone.
+     */
+    async clearAll() {
+        if (this.isSupported()) {
+            for (const cacheName of MODEL_CACHE_NAMES) {
+                await caches.delete(cacheName);
+            }
+        }
+
+        await downloadManager.clear();
+        logger.log('[ModelCache] Cleared all cached models');
+    }
+
+    async getStorageEstimate() {
+        if (!navigator.storage?.estimate) {
+            return null;
+        }
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+}
+
+// Create singleton instance
+const modelCache = new ModelCache();
+
+export { modelCache, ModelCache, MODEL_CACHE_NAMES };
+
+export async function listCachedModels() {
+    return modelCache.listCachedModels();
+}
+
+export async function deleteCachedModel(modelId) {
+    return modelCache.deleteModel(modelId);
+}
+
+export async function verifyCachedModel(modelId) {
+    return modelCache.verifyModel(modelId);
+}
@@ -0,0 +1,274 @@
+// Model catalog: every model the app knows how to load, with the metadata the
+// loader and settings panel need (sizes, dtypes, context length, template quirks).
+
+const MODEL_CATALOG = [
+    // --- Language models ---
+    {
+        id: 'onnx-community/Qwen2.5-0.5B-Instruct',
+        type: 'llm',
+        name: 'Qwen2.5-0.5B-Instruct',
+        params: '500M',
+        dtypes: ['q4', 'q4f16', 'q8', 'fp16', 'fp32'],
+        defaultDtype: 'q4',
+        contextLength: 32768,
+        recommendedBackend: 'webgpu',
+        chatTemplate: {
+            systemRole: true
+        }
+    },
+    {
+        id: 'onnx-community/Qwen2.5-1.5B-Instruct',
+        type: 'llm',
+        name: 'Qwen2.5-1.5B-Instruct',
+        params: '1.5B',
+        dtypes: ['q4', 'q4f16', 'q8', 'fp16'],
+        defaultDtype: 'q4f16',
+        contextLength: 32768,
+        recommendedBackend: 'webgpu',
+        // Same tokenizer, small enough to propose tokens for speculative decoding.
+        // Drafting needs WASM, so it stays off on the recommended WebGPU backend.
+        draftModel: 'onnx-community/Qwen2.5-0.5B-Instruct',
+        chatTemplate: {
+            systemRole: true
+        }
+    },
+    {
+        id: 'HuggingFaceTB/SmolLM2-360M-Instruct',
+        type: 'llm',
+        name: 'SmolLM2-360M-Instruct',
+        params: '360M',
+        dtypes: ['q4', 'q4f16', 'q8', 'fp16', 'fp32'],
+        defaultDtype: 'q4',
+        contextLength: 8192,
+        recommendedBackend: 'wasm',
+        draftModel: 'HuggingFaceTB/SmolLM2-135M-Instruct',
+        chatTemplate: {
+            systemRole: true
+        }
+    },
+    {
+        id: 'HuggingFaceTB/SmolLM2-135M-Instruct',
+        type: 'llm',
+        name: 'SmolLM2-135M-Instruct',
+        params: '135M',
+        dtypes: ['q4', 'q8', 'fp16', 'fp32'],
+        defaultDtype: 'q4',
+        contextLength: 8192,
+        recommendedBackend: 'wasm',
+        chatTemplate: {
+            systemRole: true
+        }
+    },
+    {
+        id: 'onnx-community/Llama-3.2-1B-Instruct',
+        type: 'llm',
+        name: 'Llama-3.2-1B-Instruct',
+        params: '1.2B',
+        dtypes: ['q4', 'q4f16', 'q8', 'fp16'],
+        defaultDtype: 'q4f16',
+        contextLength: 131072,
+        recommendedBackend: 'webgpu',
+        chatTemplate: {
+            systemRole: true
+        }
+    },
+    {
+        id: 'onnx-community/Qwen3-0.6B-ONNX',
+        type: 'llm',
+        name: 'Qwen3-0.6B',
+        params: '600M',
+        dtypes: ['q4', 'q4f16', 'q8', 'fp16'],
+        defaultDtype: 'q4f16',
+        contextLength: 32768,
+        recommendedBackend: 'webgpu',
+        chatTemplate: {
+            systemRole: true,
+            // Writes <think>...</think> before answering (see reasoning.js)
+            reasoning: true
+        }
+    },
+    {
+        id: 'onnx-community/DeepSeek-R1-Distill-Qwen-1.5B-ONNX',
+        type: 'llm',
+        name: 'DeepSeek-R1-Distill-Qwen-1.5B',
+        params: '1.5B',
+        dtypes: ['q4', 'q4f16', 'fp16'],
+        defaultDtype: 'q4f16',
+        contextLength: 131072,
+        recommendedBackend: 'webgpu',
+        chatTemplate: {
+            systemRole: true,
+            reasoning: true
+        }
+    },
+    {
+        id: 'onnx-community/gemma-3-1b-it-ONNX',
+        type: 'llm',
+        name: 'Gemma-3-1B-it',
+        params: '1B',
+        dtypes: ['q4', 'q4f16', 'q8', 'fp16'],
+        defaultDtype: 'q4',
+        contextLength: 32768,
+        recommendedBackend: 'webgpu',
+        chatTemplate: {
+            // Gemma has no system role; the system prompt is folded into the first user turn
+            systemRole: false
+        }
+    },
+
+    // --- Embedding models ---
+    {
+        id: 'Xenova/all-MiniLM-L6-v2',
+        type: 'embedder',
+        name: 'all-MiniLM-L6-v2',
+        params: '23M',
+        dimensions: 384,
+        dtypes: ['fp32', 'fp16', 'q8'],
+        defaultDtype: 'fp32',
+        contextLength: 256,
+        recommendedBackend: 'wasm'
+    },
+
+    // --- Text-to-speech models ---
+    {
+        id: 'onnx-community/Kokoro-82M-ONNX',
+        type: 'tts',
+        name: 'Kokoro-82M-ONNX',
+        params: '82M',
+        dtypes: ['fp32', 'q8'],
+        defaultDtype: 'fp32',
+        recommendedBackend: 'webgpu'
+    }
+];
+
+// ONNX weight file suffix transformers.js uses for each dtype (onnx/model<suffix>.onnx)
+const DTYPE_FILE_SUFFIXES = {
+    fp32: '',
+    fp16: '_fp16',
+    q8: '_quantized',
+    int8: '_int8',
+    uint8: '_uint8',
+    q4: '_q4',
+    q4f16: '_q4f16',
+    bnb4: '_bnb4'
+};
+
+// Rough bytes per parameter of the exported ONNX weights, used when exact file
+// sizes can't be fetched. 4-bit exports keep embeddings at higher precision.
+const DTYPE_BYTES_PER_PARAM = {
+    fp32: 4,
+    fp16: 2,
+    q8: 1,
+    int8: 1,
+    uint8: 1,
+    q4: 1.2,
+    q4f16: 0.9,
+    bnb4: 1.2
+};
+
+// Session buffers, activations and a modest KV cache on top of the weights
+const RUNTIME_MEMORY_FACTOR = 1.3;
+
+function dtypeFromFileName(fileName) {
+    const match = fileName.match(/(?:^|\/)[^/]*?model(_[a-z0-9]+)?\.onnx$/);
+    if (!match) {
+        return null;
+    }
+    const suffix = match[1] || '';
+    return Object.keys(DTYPE_FILE_SUFFIXES).find(dtype => DTYPE_FILE_SUFFIXES[dtype] === suffix) || null;
+}
+
+class ModelRegistry {
+    constructor(models = MODEL_CATALOG) {
+        this.models = new Map(models.map(model => [model.id, model]));
+    }
+
+    getModel(modelId) {
+        return this.models.get(modelId) || null;
+    }
+
+    getModels(type) {
+        const models = Array.from(this.models.values());
+        return type ? models.filter(model => model.type === type) : models;
+    }
+
+    getDefaultModel(type) {
+        return this.getModels(type)[0] || null;
+    }
+
+    register(model) {
+        if (!model?.id || !model.type) {
+            throw new Error('Model entries need an id and a type');
+        }
+        this.models.set(model.id, model);
+        return model;
+    }
+
+    unregister(modelId) {
+        return this.models.delete(modelId);
+    }
+
+    getContextLength(modelId, fallback = 2048) {
+        return this.getModel(modelId)?.contextLength || fallback;
+    }
+
+    getParamCount(modelId) {
+        const match = String(this.getModel(modelId)?.params || '').match(/^([\d.]+)\s*([MB])$/i);
+        if (!match) {
+            return null;
+        }
+        return parseFloat(match[1]) * (match[2].toUpperCase() === 'B' ? 1e9 : 1e6);
+    }
+
+    estimateDownloadSize(modelId, dtype) {
+        const params = this.getParamCount(modelId);
+        const bytesPerParam = DTYPE_BYTES_PER_PARAM[dtype];
+        return params && bytesPerParam ? Math.round(params * bytesPerParam) : null;
+    }
+
+    estimateRuntimeMemory(weightBytes) {
+        return weightBytes ? Math.round(weightBytes * RUNTIME_MEMORY_FACTOR) : null;
+    }
+
+    getLabel(modelId) {
+        const model = this.getModel(modelId);
+        if (!model) {
+            return modelId;
+        }
+        if (model.type === 'embedder' && model.dimensions) {
+            return `${model.name} (${model.dimensions} dims)`;
+        }
+        return `${model.name} (${model.params})`;
+    }
+
+    populateSelect(select, type, selectedId = null) {
+        if (!select) return;
+
+        const current = selectedId || select.value;
+        select.innerHTML = '';
+
+        this.getModels(type).forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = this.getLabel(model.id);
+            select.appendChild(option);
+        });
+
+        if (current && this.models.has(current)) {
+            select.value = current;
+        }
+    }
+}
+
+// Create singleton instance
+const modelRegistry = new ModelRegistry();
+
+export { modelRegistry, ModelRegistry, MODEL_CATALOG, DTYPE_FILE_SUFFIXES, dtypeFromFileName };
+
+export function getModel(modelId) {
+    return modelRegistry.getModel(modelId);
+}
+
+export function getModels(type) {
+    return modelRegistry.getModels(type);
+}
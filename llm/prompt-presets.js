@@ -0,0 +1,155 @@
+import { chatEngine } from './chat-engine.js';
+import { modelLoader } from './loader.js';
+import { ragPipeline } from '../rag/rag.js';
+import { vectorStore } from '../embeddings/store.js';
+import logger from '../utils/logger.js';
+
+// Named pairs of a system prompt and a RAG prompt (personas). The built-in
+// Default preset is the prompts the app ships with and can't be changed;
+// presets the user saves live in localStorage. Prompts may use template
+// variables, filled in each time a reply is generated:
+//
+//   {{date}} {{time}} {{model}} {{docNames}}
+//
+// Unknown variables are left as written.
+
+const STORAGE_KEY = 'llm-web-prompt-presets';
+const DEFAULT_PRESET_ID = 'default';
+
+const TEMPLATE_VARIABLES = {
+    date: () => new Date().toLocaleDateString(undefined, {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }),
+    time: () => new Date().toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }),
+    model: () => modelLoader.getCurrentModelInfo('llm')?.name || modelLoader.getCurrentModel('llm') || 'unknown',
+    docNames: async () => {
+        const documents = await vectorStore.getAllDocuments();
+        return documents.length > 0 ? documents.map(doc => doc.name).join(', ') : 'none';
+    }
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptPresets {
+    constructor() {
+        // User presets, loaded on first use
+        this.presets = null;
+    }
+
+    getDefault() {
+        return {
+            id: DEFAULT_PRESET_ID,
+            name: 'Default',
+            systemPrompt: chatEngine.defaultSystemPrompt,
+            ragPrompt: ragPipeline.defaultSystemPrompt,
+            builtin: true
+        };
+    }
+
+    load() {
+        if (!this.presets) {
+            try {
+                this.presets = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+            } catch (error) {
+                logger.warn('[PromptPresets] Stored presets are unreadable, starting over:', error);
+                this.presets = [];
+            }
+        }
+        return this.presets;
+    }
+
+    persist() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+    }
+
+    /**
+     * The Default preset followed by the user's, in the order they were created.
+     */
+    getAll() {
+        return [this.getDefault(), ...this.load()];
+    }
+
+    /**
+     * The preset with `id`, or Default if it no longer exists.
+     */
+    get(id) {
+        return this.load().find(preset => preset.id === id) || this.getDefault();
+    }
+
+    /**
+     * Create a preset, or update the one with `preset.id`. Returns the saved preset.
+     */
+    save({ id = null, name, systemPrompt = '', ragPrompt = '' }) {
+        if (id === DEFAULT_PRESET_ID) {
+            throw new Error('The Default preset cannot be changed');
+        }
+        const trimmedName = name?.trim();
+        if (!trimmedName) {
+            throw new Error('A preset needs a name');
+        }
+
+        const presets = this.load();
+        const preset = {
+            id: id || `preset_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            name: trimmedName,
+            systemPrompt: systemPrompt.trim(),
+            ragPrompt: ragPrompt.trim(),
+            updatedAt: Date.now()
+        };
+
+        const index = presets.findIndex(existing => existing.id === preset.id);
+        if (index === -1) {
+            presets.push(preset);
+        } else {
+            presets[index] = preset;
+        }
+        this.persist();
+        logger.log(`[PromptPresets] Saved "${preset.name}"`);
+        return preset;
+    }
+
+    delete(id) {
+        const presets = this.load();
+        const index = presets.findIndex(preset => preset.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        presets.splice(index, 1);
+        this.persist();
+        return true;
+    }
+
+    /**
+     * `template` with its variables filled in. Variables are only computed
+     * when the template uses them.
+     */
+    async render(template) {
+        if (!template) {
+            return '';
+        }
+
+        const names = new Set([...template.matchAll(VARIABLE_PATTERN)]
+            .map(match => match[1])
+            .filter(name => Object.hasOwn(TEMPLATE_VARIABLES, name)));
+        const values = {};
+        for (const name of names) {
+            try {
+                values[name] = await TEMPLATE_VARIABLES[name]();
+            } catch (error) {
+                logger.warn(`[PromptPresets] Could not fill in {{${name}}}:`, error);
+                values[name] = '';
+            }
+        }
+
+        return template.replace(VARIABLE_PATTERN, (match, name) => (Object.hasOwn(values, name) ? values[name] : match));
+    }
+}
+
+// Create singleton instance
+const promptPresets = new PromptPresets();
+
+export { promptPresets, PromptPresets, DEFAULT_PRESET_ID, TEMPLATE_VARIABLES };
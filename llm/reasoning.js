@@ -0,0 +1,147 @@
+// Reasoning ("thinking") output of models such as Qwen3 and the DeepSeek-R1
+// distills: `<think>reasoning</think>` followed by the answer. Templates that
+// open the think block in the generation prompt (newer R1 distills) leave the
+// opening tag out of the output, so splitting can start inside the reasoning.
+
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+/**
+ * Whether a rendered prompt ends inside an open think block.
+ */
+function endsInReasoning(promptText) {
+    const open = promptText.lastIndexOf(THINK_OPEN);
+    return open !== -1 && promptText.indexOf(THINK_CLOSE, open) === -1;
+}
+
+/**
+ * Text that closes (or adds) an empty think block at the end of a rendered
+ * prompt, so the model answers straight away; Qwen3's template does the
+ * same when thinking is off.
+ */
+function getSkipReasoningSuffix(promptText) {
+    return endsInReasoning(promptText)
+        ? `\n${THINK_CLOSE}\n\n`
+        : `${THINK_OPEN}\n\n${THINK_CLOSE}\n\n`;
+}
+
+/**
+ * Length of the longest end of `text` that `tag` starts with.
+ */
+function getPartialTagLength(text, tag) {
+    for (let length = Math.min(text.length, tag.length - 1); length > 0; length--) {
+        if (tag.startsWith(text.slice(-length))) {
+            return length;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Splits streamed output into reasoning and answer. Text that may turn out
+ * to be part of a tag is held back until the next push.
+ */
+class ReasoningSplitter {
+    constructor(startsInReasoning = false) {
+        // 'start' (a think block may open), 'reasoning', 'closed' (skipping
+        // whitespace after it) or 'answer'
+        this.state = startsInReasoning ? 'reasoning' : 'start';
+        this.startsInReasoning = startsInReasoning;
+        this.pending = '';
+        this.reasoning = '';
+        this.content = '';
+    }
+
+    get isReasoning() {
+        return this.state === 'reasoning';
+    }
+
+    /**
+     * Feed the next piece of output; returns what it added as
+     * `{ reasoning, content }`.
+     */
+    push(text) {
+        const delta = { reasoning: '', content: '' };
+        this.pending += text;
+
+        while (this.pending) {
+            if (this.state === 'start') {
+                const trimmed = this.pending.trimStart();
+                if (trimmed.startsWith(THINK_OPEN)) {
+                    this.pending = trimmed.slice(THINK_OPEN.length);
+                    this.state = 'reasoning';
+                } else if (THINK_OPEN.startsWith(trimmed)) {
+                    break;
+                } else {
+                    this.state = 'answer';
+                }
+            } else if (this.state === 'reasoning') {
+                const close = this.pending.indexOf(THINK_CLOSE);
+                if (close !== -1) {
+                    delta.reasoning += this.pending.slice(0, close);
+                    this.pending = this.pending.slice(close + THINK_CLOSE.length);
+                    this.state = 'closed';
+                } else {
+                    const held = getPartialTagLength(this.pending, THINK_CLOSE);
+                    delta.reasoning += this.pending.slice(0, this.pending.length - held);
+                    this.pending = this.pending.slice(this.pending.length - held);
+                    break;
+                }
+            } else if (this.state === 'closed') {
+                this.pending = this.pending.trimStart();
+                if (this.pending) {
+                    this.state = 'answer';
+                }
+            } else {
+                delta.content += this.pending;
+                this.pending = '';
+            }
+        }
+
+        this.reasoning += delta.reasoning;
+        this.content += delta.content;
+        return delta;
+    }
+
+    /**
+     * Release held-back text once generation is over.
+     */
+    end() {
+        const delta = { reasoning: '', content: '' };
+        if (this.state === 'reasoning') {
+            delta.reasoning = this.pending;
+        } else if (this.state !== 'closed') {
+            delta.content = this.pending;
+        }
+        this.pending = '';
+
+        this.reasoning += delta.reasoning;
+        this.content += delta.content;
+        return delta;
+    }
+}
+
+/**
+ * `{ reasoning, content }` of complete output.
+ */
+function splitReasoning(text, startsInReasoning = false) {
+    const splitter = new ReasoningSplitter(startsInReasoning);
+    splitter.push(text);
+    splitter.end();
+    return { reasoning: splitter.reasoning.trim(), content: splitter.content };
+}
+
+/**
+ * `text` without think blocks, including one left open or one whose opening
+ * tag was in the prompt.
+ */
+function stripReasoning(text) {
+    const close = text.lastIndexOf(THINK_CLOSE);
+    if (close !== -1) {
+        return text.slice(close + THINK_CLOSE.length).trimStart();
+    }
+    const open = text.indexOf(THINK_OPEN);
+    return open === -1 ? text : text.slice(0, open).trimEnd();
+}
+
+export { ReasoningSplitter, splitReasoning, stripReasoning, endsInReasoning, getSkipReasoningSuffix };
@@ -0,0 +1,197 @@
+import { LogitsProcessor } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.3';
+
+// Sampling controls transformers.js doesn't offer: min-p filtering,
+// OpenAI-style presence/frequency penalties and seeded sampling. With a
+// seed the processor draws the next token itself from a seeded generator
+// and masks every other one, so the pipeline's own sampler has no choice
+// left and the output is reproducible.
+
+// Tokens this far (in logits at temperature 1) below the best one have a
+// probability under e^-30 and are never worth sorting
+const NEGLIGIBLE_LOGIT_GAP = 30;
+
+/**
+ * Small, fast seeded PRNG (mulberry32) returning floats in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * The tokens temperature, top-k and top-p leave to sample from, most likely
+ * first: `{ candidates, weights, total }`, where `weights` are unnormalized
+ * probabilities and `total` their sum. `max` is the highest of `scores`.
+ * Shared with speculative decoding, so both samplers draw from the same
+ * distribution.
+ */
+function getSamplingCandidates(scores, max, { temperature, topK, topP }) {
+    const floor = max - NEGLIGIBLE_LOGIT_GAP * temperature;
+    let candidates = [];
+    for (let id = 0; id < scores.length; id++) {
+        if (scores[id] >= floor) {
+            candidates.push(id);
+        }
+    }
+    candidates.sort((a, b) => scores[b] - scores[a] || a - b);
+    if (topK > 0) {
+        candidates = candidates.slice(0, topK);
+    }
+
+    let weights = candidates.map(id => Math.exp((scores[id] - max) / temperature));
+    let total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    if (topP < 1) {
+        let cumulative = 0;
+        let keep = 0;
+        while (keep < candidates.length && cumulative < topP * total) {
+            cumulative += weights[keep];
+            keep++;
+        }
+        candidates = candidates.slice(0, keep);
+        weights = weights.slice(0, keep);
+        total = cumulative;
+    }
+
+    return { candidates, weights, total };
+}
+
+class SamplingLogitsProcessor extends LogitsProcessor {
+    /**
+     * @param {Object} options
+     * @param {number} [options.minP] Drop tokens less likely than this fraction of the top token
+     * @param {number} [options.presencePenalty] Subtracted from tokens already generated
+     * @param {number} [options.frequencyPenalty] Subtracted per earlier occurrence
+     * @param {number} [options.seed] Sample here with a seeded generator
+     * @param {number} [options.temperature] Used for min-p and seeded sampling
+     * @param {number} [options.topK] Used for seeded sampling (0 = off)
+     * @param {number} [options.topP] Used for seeded sampling
+     */
+    constructor({ minP = 0, presencePenalty = 0, frequencyPenalty = 0, seed = null, temperature = 1, topK = 0, topP = 1 } = {}) {
+        super();
+        this.minP = minP;
+        this.presencePenalty = presencePenalty;
+        this.frequencyPenalty = frequencyPenalty;
+        this.temperature = temperature > 0 ? temperature : 1;
+        this.topK = topK;
+        this.topP = topP;
+        this.random = seed === null ? null : createRandom(seed);
+        this.promptLength = null;
+        this.consumed = 0;
+        // Occurrences of each generated token, for the penalties
+        this.counts = new Map();
+    }
+
+    _call(input_ids, logits) {
+        // Generation here is a single sequence; only batch 0 is tracked
+        const ids = input_ids[0];
+        if (this.promptLength === null) {
+            this.promptLength = ids.length;
+        }
+        const data = logits[0].data;
+
+        if (this.presencePenalty || this.frequencyPenalty) {
+            this.countTokens(ids);
+            for (const [id, count] of this.counts) {
+                data[id] -= this.presencePenalty + this.frequencyPenalty * count;
+            }
+        }
+
+        if (this.minP > 0) {
+            this.applyMinP(data);
+        }
+
+        if (this.random) {
+            this.sample(data);
+        }
+        return logits;
+    }
+
+    countTokens(ids) {
+        for (let i = this.promptLength + this.consumed; i < ids.length; i++) {
+            const id = Number(ids[i]);
+            this.counts.set(id, (this.counts.get(id) || 0) + 1);
+            this.consumed++;
+        }
+    }
+
+    /**
+     * Mask tokens with p < minP * p(top token), i.e. logit below
+     * max + T * ln(minP).
+     */
+    applyMinP(data) {
+        let max = -Infinity;
+        for (let id = 0; id < data.length; id++) {
+            if (data[id] > max) max = data[id];
+        }
+
+        const cutoff = max + this.temperature * Math.log(this.minP);
+        for (let id = 0; id < data.length; id++) {
+            if (data[id] < cutoff) {
+                data[id] = -Infinity;
+            }
+        }
+    }
+
+    /**
+     * Draw one token with temperature, top-k and top-p from the seeded
+     * generator and leave only that token unmasked.
+     */
+    sample(data) {
+        let max = -Infinity;
+        for (let id = 0; id < data.length; id++) {
+            if (data[id] > max) max = data[id];
+        }
+        if (max === -Infinity) {
+            return;
+        }
+
+        const { candidates, weights, total } = getSamplingCandidates(data, max, {
+            temperature: this.temperature,
+            topK: this.topK,
+            topP: this.topP
+        });
+
+        let target = this.random() * total;
+        let chosen = candidates[candidates.length - 1];
+        for (let i = 0; i < candidates.length; i++) {
+            target -= weights[i];
+            if (target < 0) {
+                chosen = candidates[i];
+                break;
+            }
+        }
+
+        data.fill(-Infinity);
+        data[chosen] = 0;
+    }
+}
+
+/**
+ * Processor for the sampling `params` ChatEngine accepts, or null when none
+ * of them needs one.
+ */
+function createSamplingProcessor(params = {}) {
+    const seeded = Number.isInteger(params.seed) && params.temperature > 0;
+    if (!seeded && !(params.minP > 0) && !params.presencePenalty && !params.frequencyPenalty) {
+        return null;
+    }
+
+    return new SamplingLogitsProcessor({
+        minP: params.minP || 0,
+        presencePenalty: params.presencePenalty || 0,
+        frequencyPenalty: params.frequencyPenalty || 0,
+        seed: seeded ? params.seed : null,
+        temperature: params.temperature ?? 1.0,
+        topK: params.topK ?? 0,
+        topP: params.topP ?? 1
+    });
+}
+
+export { SamplingLogitsProcessor, createSamplingProcessor, createRandom, getSamplingCandidates };
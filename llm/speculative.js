@@ -0,0 +1,272 @@
+import { Tensor } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.3';
+import { getSamplingCandidates } from './sampling.js';
+
+// Speculative decoding: a small draft model proposes a few tokens, the main
+// model scores all of them in a single forward pass and keeps the prefix it
+// agrees with, plus one token of its own. Draft tokens are accepted with
+// probability min(1, p/q) and rejections are resampled from max(0, p - q),
+// so the output follows the main model's distribution exactly; with greedy
+// decoding this reduces to "keep drafts while they match the argmax".
+// Rejected tokens are cut from the KV caches by slicing them, which needs the
+// caches in CPU memory, i.e. both models on the WASM backend.
+
+// Tokens the draft model proposes per verification step
+const DEFAULT_DRAFT_TOKENS = 4;
+
+const PROBE_TEXT = 'Hello, world! Numbers 12345, ünïcödé, emoji 🙂 and code: fn(x) => x * 2;';
+
+/**
+ * Whether the draft tokenizer maps text to the same token ids as the main
+ * one, including the chat template's special tokens.
+ */
+function isTokenizerCompatible(tokenizer, draftTokenizer) {
+    if (tokenizer === draftTokenizer) {
+        return true;
+    }
+    if (!tokenizer || !draftTokenizer ||
+        tokenizer.model?.vocab?.length !== draftTokenizer.model?.vocab?.length ||
+        tokenizer.eos_token_id !== draftTokenizer.eos_token_id) {
+        return false;
+    }
+
+    let probe = PROBE_TEXT;
+    try {
+        probe = tokenizer.apply_chat_template([{ role: 'user', content: PROBE_TEXT }], {
+            tokenize: false,
+            add_generation_prompt: true
+        });
+    } catch (error) {
+        // No chat template; plain text still catches different vocabularies
+    }
+
+    const ids = tokenizer.encode(probe, { add_special_tokens: false });
+    const draftIds = draftTokenizer.encode(probe, { add_special_tokens: false });
+    return ids.length === draftIds.length && ids.every((id, index) => id === draftIds[index]);
+}
+
+/**
+ * A causal LM plus the KV cache of the tokens it has been fed so far.
+ */
+class CachedModel {
+    constructor(model, pastKeyValues = null, length = 0) {
+        this.model = model;
+        this.pastKeyValues = pastKeyValues;
+        this.length = length;
+    }
+
+    /**
+     * Feed `ids` after the cached tokens; returns logits [1, ids.length, vocab].
+     */
+    async forward(ids) {
+        const total = this.length + ids.length;
+        const outputs = await this.model.forward({
+            input_ids: new Tensor('int64', BigInt64Array.from(ids, BigInt), [1, ids.length]),
+            attention_mask: new Tensor('int64', new BigInt64Array(total).fill(1n), [1, total]),
+            past_key_values: this.pastKeyValues
+        });
+
+        this.pastKeyValues = this.model.getPastKeyValues(outputs, this.pastKeyValues);
+        this.length = total;
+        return outputs.logits;
+    }
+
+    /**
+     * Keep only the first `length` cached tokens.
+     */
+    truncate(length) {
+        if (length >= this.length) {
+            return;
+        }
+
+        const kept = {};
+        for (const [name, tensor] of Object.entries(this.pastKeyValues)) {
+            // [batch, heads, sequence, head_dim]
+            kept[name] = tensor.slice(null, null, [0, length], null);
+        }
+        this.pastKeyValues = kept;
+        this.length = length;
+    }
+
+    /**
+     * Make the cache cover `ids` except the last token, which the next
+     * forward pass feeds.
+     */
+    async sync(ids) {
+        const target = ids.length - 1;
+        if (this.length > target) {
+            this.truncate(target);
+        } else if (this.length < target) {
+            await this.forward(ids.slice(this.length, target));
+        }
+    }
+}
+
+/**
+ * Next-token distribution (Map of id -> probability) from row `row` of
+ * `logits`, with the repetition penalty over `seen` and `extra` ids,
+ * temperature, top-k and top-p applied. Temperature 0 puts all the mass on
+ * the best token.
+ */
+function getDistribution(logits, row, seen, extra, options) {
+    const { temperature, topK, topP, repetitionPenalty } = options;
+    const size = logits.dims.at(-1);
+    const scores = logits.data.slice(row * size, (row + 1) * size);
+
+    if (repetitionPenalty !== 1) {
+        const penalize = (id) => {
+            scores[id] = scores[id] < 0 ? scores[id] * repetitionPenalty : scores[id] / repetitionPenalty;
+        };
+        seen.forEach(penalize);
+        new Set(extra.filter(id => !seen.has(id))).forEach(penalize);
+    }
+
+    let best = 0;
+    for (let id = 1; id < size; id++) {
+        if (scores[id] > scores[best]) best = id;
+    }
+    if (!(temperature > 0)) {
+        return new Map([[best, 1]]);
+    }
+
+    const { candidates, weights, total } = getSamplingCandidates(scores, scores[best], { temperature, topK, topP });
+    const distribution = new Map();
+    candidates.forEach((id, i) => distribution.set(id, weights[i] / total));
+    return distribution;
+}
+
+function sample(distribution) {
+    let target = Math.random();
+    let last = null;
+    for (const [id, probability] of distribution) {
+        target -= probability;
+        last = id;
+        if (target < 0) {
+            return id;
+        }
+    }
+    return last;
+}
+
+/**
+ * What to sample from after the main model rejects a draft token:
+ * max(0, p - q), normalized.
+ */
+function getResidual(target, draft) {
+    const residual = new Map();
+    let total = 0;
+    for (const [id, probability] of target) {
+        const excess = probability - (draft.get(id) || 0);
+        if (excess > 0) {
+            residual.set(id, excess);
+            total += excess;
+        }
+    }
+    if (total === 0) {
+        return target;
+    }
+
+    for (const [id, excess] of residual) {
+        residual.set(id, excess / total);
+    }
+    return residual;
+}
+
+/**
+ * Generate with `model` (the main causal LM) and `draftModel` proposing
+ * tokens. `pastKeyValues` may hold a cache of the first `cachedTokens` of
+ * `inputIds`. The streamer gets the prompt once, then every accepted token;
+ * generation ends at an EOS token, `maxNewTokens` or when
+ * `stoppingCriteria` is interrupted.
+ *
+ * Returns `{ sequence, pastKeyValues, generated, proposed, accepted, steps }`,
+ * where the cache covers all of `sequence` except its last token.
+ */
+async function speculativeGenerate({
+    model,
+    draftModel,
+    inputIds,
+    pastKeyValues = null,
+    cachedTokens = 0,
+    maxNewTokens = 256,
+    temperature = 1.0,
+    topK = 0,
+    topP = 1.0,
+    repetitionPenalty = 1.0,
+    eosTokenIds = [],
+    draftTokens = DEFAULT_DRAFT_TOKENS,
+    streamer = null,
+    stoppingCriteria = null
+}) {
+    const options = { temperature, topK, topP, repetitionPenalty };
+    const main = new CachedModel(model, pastKeyValues, cachedTokens);
+    const draft = new CachedModel(draftModel);
+    const ids = [...inputIds];
+    const seen = new Set(ids);
+    const stats = { proposed: 0, accepted: 0, steps: 0 };
+    let generated = 0;
+    let done = false;
+
+    streamer?.put([inputIds]);
+
+    while (!done && generated < maxNewTokens && !stoppingCriteria?.interrupted) {
+        await draft.sync(ids);
+        await main.sync(ids);
+
+        // Draft: propose tokens one at a time, leaving room for the main model's own
+        const proposals = [];
+        const draftDistributions = [];
+        const count = Math.min(draftTokens, maxNewTokens - generated - 1);
+        for (let i = 0; i < count; i++) {
+            const logits = await draft.forward([i === 0 ? ids.at(-1) : proposals[i - 1]]);
+            const distribution = getDistribution(logits, 0, seen, proposals, options);
+            const token = sample(distribution);
+            proposals.push(token);
+            draftDistributions.push(distribution);
+            if (eosTokenIds.includes(token)) {
+                break;
+            }
+        }
+
+        // Verify: one main-model pass scores the last token and every proposal
+        const logits = await main.forward([ids.at(-1), ...proposals]);
+        stats.steps++;
+        stats.proposed += proposals.length;
+
+        let accepted = 0;
+        let next = null;
+        for (; accepted < proposals.length; accepted++) {
+            const token = proposals[accepted];
+            const target = getDistribution(logits, accepted, seen, proposals.slice(0, accepted), options);
+            // Accept with probability min(1, p / q)
+            if (Math.random() * draftDistributions[accepted].get(token) < (target.get(token) || 0)) {
+                continue;
+            }
+            next = sample(getResidual(target, draftDistributions[accepted]));
+            break;
+        }
+        if (next === null) {
+            // Every proposal was accepted; the last row gives a token for free
+            next = sample(getDistribution(logits, proposals.length, seen, proposals, options));
+        }
+        stats.accepted += accepted;
+
+        for (const token of [...proposals.slice(0, accepted), next]) {
+            ids.push(token);
+            seen.add(token);
+            generated++;
+            streamer?.put([[token]]);
+            if (eosTokenIds.includes(token) || generated >= maxNewTokens) {
+                done = true;
+                break;
+            }
+        }
+    }
+
+    streamer?.end();
+
+    // Rejected proposals may still be in the main cache
+    main.truncate(ids.length - 1);
+    return { sequence: ids, pastKeyValues: main.pastKeyValues, generated, ...stats };
+}
+
+export { speculativeGenerate, isTokenizerCompatible, getDistribution, DEFAULT_DRAFT_TOKENS };
@@ -0,0 +1,77 @@
+import { chatEngine } from './chat-engine.js';
+import { tokenCounter } from './token-counter.js';
+import logger from '../utils/logger.js';
+
+// Compresses older chat turns into a running summary with the loaded LLM,
+// so they stay available to the model after they no longer fit verbatim.
+// The most recent turns are always left out of the summary and sent as-is.
+
+const SUMMARY_SYSTEM_PROMPT = 'You maintain a running summary of a conversation between a user and an assistant. ' +
+    'Keep facts, names, numbers, decisions, open questions and the user\'s preferences. ' +
+    'Write plain prose in the third person, at most 150 words. Output only the summary.';
+
+class ConversationSummarizer {
+    constructor() {
+        // Unsummarized history above this many tokens gets folded into the summary
+        this.threshold = 1500;
+        // Messages kept verbatim at the end of the history
+        this.keepRecent = 4;
+        this.maxSummaryTokens = 256;
+    }
+
+    /**
+     * Messages from `history` (oldest first, without the current user turn)
+     * that should be folded into the summary now, or an empty array while
+     * the history is still under the threshold.
+     */
+    selectMessages(history) {
+        const candidates = history.slice(0, Math.max(history.length - this.keepRecent, 0));
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        const tokens = history.reduce((sum, msg) => sum + tokenCounter.count(msg.content || '', 'llm'), 0);
+        return tokens > this.threshold ? candidates : [];
+    }
+
+    buildPrompt(messages, previousSummary = '') {
+        const transcript = messages
+            .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+            .join('\n\n');
+
+        const existing = previousSummary
+            ? `Summary so far:\n${previousSummary}\n\n`
+            : '';
+
+        return `${existing}New messages:\n${transcript}\n\nWrite the updated summary.`;
+    }
+
+    /**
+     * Fold `messages` into `previousSummary` and return the new summary text.
+     * `options.signal` stops generation early.
+     */
+    async summarize(messages, previousSummary = '', options = {}) {
+        const startTime = performance.now();
+
+        const result = await chatEngine.generate(
+            [{ role: 'user', content: this.buildPrompt(messages, previousSummary) }],
+            {
+                maxNewTokens: this.maxSummaryTokens,
+                temperature: 0
+            },
+            // Reasoning models summarize without thinking first. The summary
+            // prompt shares little with the chat's, so the conversation's KV
+            // cache is left for the reply that follows.
+            { systemPrompt: SUMMARY_SYSTEM_PROMPT, signal: options.signal, thinking: false, kvCache: false }
+        );
+
+        const summary = result.text.trim();
+        logger.log(`[Summarizer] Summarized ${messages.length} messages into ${tokenCounter.count(summary, 'llm')} tokens in ${((performance.now() - startTime) / 1000).toFixed(1)}s`);
+        return summary;
+    }
+}
+
+// Create singleton instance
+const conversationSummarizer = new ConversationSummarizer();
+
+export { conversationSummarizer, ConversationSummarizer };
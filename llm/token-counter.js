@@ -0,0 +1,101 @@
+import { modelLoader } from './loader.js';
+import logger from '../utils/logger.js';
+
+// Counts tokens with the tokenizer of the model the text is meant for: the
+// LLM's for prompt budgets, the embedder's for document chunking. Until that
+// model has loaded, a character/word heuristic stands in.
+
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+class TokenCounter {
+    constructor() {
+        this.warned = new Set();
+    }
+
+    /**
+     * Tokenizer currently loaded for `target` ('llm' or 'embedder'), or null.
+     * In worker mode the loader keeps a copy of the LLM tokenizer on this
+     * thread, so counting never needs a round-trip.
+     */
+    getTokenizer(target = 'llm') {
+        if (target === 'embedder') {
+            return modelLoader.getFeatureExtractionPipeline()?.tokenizer || null;
+        }
+
+        const modelId = modelLoader.getCurrentModel('llm');
+        return modelId ? modelLoader.getTokenizer(modelId) || null : null;
+    }
+
+    isAccurate(target = 'llm') {
+        return Boolean(this.getTokenizer(target));
+    }
+
+    /**
+     * Number of tokens `text` encodes to, without special tokens, so counts
+     * of separate pieces add up.
+     */
+    count(text, target = 'llm') {
+        if (!text) {
+            return 0;
+        }
+
+        const tokenizer = this.getTokenizer(target);
+        if (tokenizer) {
+            try {
+                return tokenizer.encode(text, { add_special_tokens: false }).length;
+            } catch (error) {
+                if (!this.warned.has(target)) {
+                    this.warned.add(target);
+                    logger.warn(`[TokenCounter] ${target} tokenizer failed, using estimate:`, error);
+                }
+            }
+        }
+
+        return this.estimate(text);
+    }
+
+    /**
+     * Prompt size of a chat, including the template's role markers and the
+     * generation prompt, as the LLM will see it.
+     */
+    countMessages(messages) {
+        const tokenizer = this.getTokenizer('llm');
+        if (tokenizer) {
+            try {
+                return tokenizer.apply_chat_template(messages, {
+                    add_generation_prompt: true,
+                    return_tensor: false
+                }).length;
+            } catch (error) {
+                if (!this.warned.has('template')) {
+                    this.warned.add('template');
+                    logger.warn('[TokenCounter] Chat template failed, using estimate:', error);
+                }
+            }
+        }
+
+        // Role markers and separators cost a few tokens per message
+        return messages.reduce((sum, msg) => sum + this.count(msg.content || '', 'llm') + MESSAGE_OVERHEAD_TOKENS, 0);
+    }
+
+    estimate(text) {
+        // Rough approximation: 1 token ≈ 4 characters or 0.75 words
+        const charCount = text.length;
+        const wordCount = text.split(/\s+/).length;
+
+        // Use average of both estimates
+        const charEstimate = charCount / 4;
+        const wordEstimate = wordCount / 0.75;
+
+        return Math.ceil((charEstimate + wordEstimate) / 2);
+    }
+}
+
+// Create singleton instance
+const tokenCounter = new TokenCounter();
+
+export { tokenCounter, TokenCounter };
+
+export function countTokens(text, target) {
+    return tokenCounter.count(text, target);
+}
@@ -0,0 +1,152 @@
+import { modelLoader } from './loader.js';
+import { chatEngine } from './chat-engine.js';
+import logger from '../utils/logger.js';
+
+// Main-thread side of the inference worker protocol.
+//
+// Requests (main -> worker):  load, unload, load-draft, unload-draft, generate, abort,
+//                             invalidate-cache, metrics, warmup
+// Replies  (worker -> main):  progress, token, reasoning, done, callback-error, result, error
+//
+// Every request carries an id; replies for that request echo it back. Progress
+// events are broadcast without an id and re-emitted through modelLoader.
+
+class InferenceWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.requestId = 0;
+        this.pending = new Map();
+    }
+
+    isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    isActive() {
+        return this.worker !== null;
+    }
+
+    start() {
+        if (this.worker) {
+            return this.worker;
+        }
+
+        this.worker = new Worker(new URL('./inference-worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+        this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+
+        logger.log('[InferenceWorker] Worker started');
+        return this.worker;
+    }
+
+    createRequest(type, payload = {}, onMessage = null) {
+        if (!this.worker) {
+            throw new Error('Inference worker not started');
+        }
+
+        const id = ++this.requestId;
+        const promise = new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onMessage });
+        });
+
+        this.worker.postMessage({ id, type, ...payload });
+        return { id, promise };
+    }
+
+    request(type, payload = {}, onMessage = null) {
+        return this.createRequest(type, payload, onMessage).promise;
+    }
+
+    post(type, payload = {}) {
+        if (this.worker) {
+            this.worker.postMessage({ type, ...payload });
+        }
+    }
+
+    handleMessage(message) {
+        const { id, type } = message;
+
+        if (type === 'progress') {
+            modelLoader.notifyProgress(message.event);
+            return;
+        }
+
+        const entry = this.pending.get(id);
+        if (!entry) {
+            return;
+        }
+
+        if (type === 'result') {
+            this.pending.delete(id);
+            entry.resolve(message.result);
+        } else if (type === 'error') {
+            this.pending.delete(id);
+            entry.reject(deserializeError(message.error));
+        } else if (entry.onMessage) {
+            entry.onMessage(message);
+        }
+    }
+
+    handleWorkerError(event) {
+        logger.error('[InferenceWorker] Worker error:', event.message || event);
+        const error = new Error(event.message || 'Inference worker failed');
+
+        for (const entry of this.pending.values()) {
+            entry.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    async getMetrics() {
+        return this.request('metrics');
+    }
+
+    terminate() {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+
+        const error = new Error('Inference worker terminated');
+        for (const entry of this.pending.values()) {
+            entry.reject(error);
+        }
+        this.pending.clear();
+        logger.log('[InferenceWorker] Worker terminated');
+    }
+}
+
+function deserializeError(data = {}) {
+    const error = new Error(data.message || 'Unknown worker error');
+    error.name = data.name || 'Error';
+    return error;
+}
+
+// Create singleton instance
+const inferenceWorker = new InferenceWorkerClient();
+
+export { inferenceWorker, InferenceWorkerClient };
+
+export function enableInferenceWorker() {
+    if (!inferenceWorker.isSupported()) {
+        logger.warn('[InferenceWorker] Web Workers not supported, running inference on the main thread');
+        return false;
+    }
+
+    try {
+        inferenceWorker.start();
+        modelLoader.useWorker(inferenceWorker);
+        chatEngine.useWorker(inferenceWorker);
+        return true;
+    } catch (error) {
+        logger.warn('[InferenceWorker] Failed to start worker, running inference on the main thread:', error);
+        disableInferenceWorker();
+        return false;
+    }
+}
+
+export function disableInferenceWorker() {
+    modelLoader.useWorker(null);
+    chatEngine.useWorker(null);
+    inferenceWorker.terminate();
+}
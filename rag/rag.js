@@ -1,4 +1,5 @@
 import { vectorStore } from '../embeddings/store.js';
+import { tokenCounter } from '../llm/token-counter.js';
 import logger from '../utils/logger.js';
 
 class RAGPipeline {
@@ -11,6 +12,13 @@ class RAGPipeline {
             mmrLambda: 0.5,
             includeMetadata: true
         };
+        // Instructions placed before the retrieved context, unless a prompt preset replaces them
+        this.defaultSystemPrompt = `You are a helpful assistant with access to a knowledge base.
+Use the provided context to answer questions accurately.
+If the context doesn't contain relevant information, say so clearly.
+Always cite which document(s) you're referencing when using the context.
+Provide plain text responses suitable for text-to-speech conversion.
+Use simple punctuation and clear sentence structure.`;
     }
 
     async retrieveContext(query, options = {}) {
@@ -47,7 +55,7 @@ class RAGPipeline {
             const chunk = result.chunk;
             const doc = result.document;
 
-            // Approximate token count
+            // Counted with the LLM's tokenizer, since the budget is its context
             const chunkTokens = this.estimateTokens(chunk.text);
 
             if (currentTokens + chunkTokens > config.maxContextTokens) {
@@ -87,7 +95,7 @@ class RAGPipeline {
         const contextText = this.formatContext(contextChunks, config.includeMetadata);
 
         logger.log(`[RAG] Built context with ${contextChunks.length} chunks from ${sources.size} documents`);
-        logger.log(`[RAG] Context length: ${contextText.length} chars, ~${currentTokens} tokens`);
+        logger.log(`[RAG] Context length: ${contextText.length} chars, ${tokenCounter.isAccurate('llm') ? '' : '~'}${currentTokens} tokens`);
 
         // Convert sources map to array
         const sourcesList = Array.from(sources.values()).map(source => ({
@@ -156,14 +164,7 @@ class RAGPipeline {
     }
 
     buildPromptWithContext(userQuery, context, systemPrompt = null) {
-        const defaultSystemPrompt = `You are a helpful assistant with access to a knowledge base.
-Use the provided context to answer questions accurately.
-If the context doesn't contain relevant information, say so clearly.
-Always cite which document(s) you're referencing when using the context.
-Provide plain text responses suitable for text-to-speech conversion.
-Use simple punctuation and clear sentence structure.`;
-
-        const fullSystemPrompt = systemPrompt || defaultSystemPrompt;
+        const fullSystemPrompt = systemPrompt || this.defaultSystemPrompt;
 
         const messages = [
             {
@@ -180,15 +181,7 @@ Use simple punctuation and clear sentence structure.`;
     }
 
     estimateTokens(text) {
-        // Rough approximation: 1 token ≈ 4 characters or 0.75 words
-        const charCount = text.length;
-        const wordCount = text.split(/\s+/).length;
-
-        // Use average of both estimates
-        const charEstimate = charCount / 4;
-        const wordEstimate = wordCount / 0.75;
-
-        return Math.ceil((charEstimate + wordEstimate) / 2);
+        return tokenCounter.count(text, 'llm');
     }
 
     async processQuery(query, options = {}) {
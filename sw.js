@@ -8,7 +8,7 @@ const logger = {
     debug: LOGGING_ENABLED ? console.debug.bind(console) : () => {}
 };
 
-const VERSION = '0.4.1';
+const VERSION = '0.5.0';
 const CACHE_NAME = `llm-web-v${VERSION}`;
 const APP_SHELL_FILES = [
     '/',
@@ -34,6 +34,12 @@ const APP_SHELL_FILES = [
 
 const RUNTIME_CACHE_NAME = `llm-web-runtime-v${VERSION}`;
 
+// OpenAI-compatible endpoints answered by an open app tab (api/local-endpoint.js),
+// which runs the model and sends the response back over a MessageChannel
+const LOCAL_API_ROUTES = ['/v1/chat/completions', '/v1/embeddings'];
+// A tab that hasn't picked a request up by then is skipped
+const LOCAL_API_ACCEPT_TIMEOUT = 5000;
+
 self.addEventListener('install', (event) => {
     logger.log('[ServiceWorker] Install');
 
@@ -59,7 +65,9 @@ self.addEventListener('activate', (event) => {
                 cacheNames.map((cacheName) => {
                     if (cacheName !== CACHE_NAME && cacheName !== RUNTIME_CACHE_NAME &&
                         !cacheName.includes('transformers-cache') &&
-                        !cacheName.includes('tts-models-cache')) {
+                        !cacheName.includes('tts-models-cache') &&
+                        // Kokoro voices, pre-downloaded by the model cache for offline speech
+                        !cacheName.includes('kokoro-voices')) {
                         logger.log('[ServiceWorker] Deleting old cache:', cacheName);
                         return caches.delete(cacheName);
                     }
@@ -76,6 +84,14 @@ self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
 
+    // Local API: never cached, always answered by an app tab
+    if (url.origin === self.location.origin && LOCAL_API_ROUTES.includes(url.pathname)) {
+        event.respondWith(request.method === 'POST'
+            ? handleLocalApiRequest(request, url.pathname)
+            : localApiError(405, `Use POST for ${url.pathname}`));
+        return;
+    }
+
     // Cache Google Fonts
     if (url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com') {
         event.respondWith(
@@ -203,6 +219,116 @@ self.addEventListener('message', (event) => {
     }
 });
 
+const localApiError = (status, message) => {
+    const body = {
+        error: {
+            message,
+            type: status >= 500 || status === 429 ? 'server_error' : 'invalid_request_error',
+            param: null,
+            code: null
+        }
+    };
+    return jsonResponse(status, body);
+};
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+const handleLocalApiRequest = async (request, path) => {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return localApiError(400, 'Request body must be JSON');
+    }
+
+    // App tabs only, the focused one first
+    const clients = (await self.clients.matchAll({ type: 'window' }))
+        .filter((client) => ['/', '/index.html'].includes(new URL(client.url).pathname))
+        .sort((a, b) => Number(b.focused) - Number(a.focused));
+
+    for (const client of clients) {
+        const response = await forwardToClient(client, path, body, request.signal);
+        if (response) {
+            return response;
+        }
+    }
+
+    logger.warn('[ServiceWorker] No app tab answered', path);
+    return localApiError(503, 'Open LLM on Web in a tab to use the local API');
+};
+
+// Resolves with the tab's response, or null if it doesn't accept the request in time
+const forwardToClient = (client, path, body, signal) => new Promise((resolve) => {
+    const encoder = new TextEncoder();
+    const { port1: port, port2 } = new MessageChannel();
+    let controller = null;
+
+    const timeout = setTimeout(() => {
+        port.close();
+        resolve(null);
+    }, LOCAL_API_ACCEPT_TIMEOUT);
+    // The tab stops generating; anything it already sent is dropped
+    const cancel = () => {
+        controller = null;
+        port.postMessage({ type: 'cancel' });
+    };
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    port.onmessage = (event) => {
+        const message = event.data || {};
+        switch (message.type) {
+            case 'accepted':
+                clearTimeout(timeout);
+                break;
+
+            case 'response':
+                resolve(jsonResponse(message.status, message.body));
+                port.close();
+                break;
+
+            case 'stream':
+                resolve(new Response(new ReadableStream({
+                    start: (streamController) => {
+                        controller = streamController;
+                    },
+                    cancel
+                }), {
+                    headers: {
+                        'Content-Type': 'text/event-stream',
+                        'Cache-Control': 'no-cache'
+                    }
+                }));
+                break;
+
+            case 'chunk':
+                controller?.enqueue(encoder.encode(`data: ${JSON.stringify(message.data)}\n\n`));
+                break;
+
+            case 'done':
+                controller?.enqueue(encoder.encode('data: [DONE]\n\n'));
+                controller?.close();
+                port.close();
+                break;
+
+            case 'error':
+                // Once streaming, the status is sent; the error goes in as an event
+                if (controller) {
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify(message.body)}\n\n`));
+                    controller.close();
+                } else {
+                    resolve(jsonResponse(message.status, message.body));
+                }
+                port.close();
+                break;
+        }
+    };
+
+    client.postMessage({ type: 'LOCAL_API_REQUEST', path, body }, [port2]);
+});
+
 const broadcast = (message) => {
     self.clients.matchAll({ type: 'window' }).then((clients) => {
         clients.forEach((client) => {
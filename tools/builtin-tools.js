@@ -0,0 +1,224 @@
+import { toolRegistry } from './registry.js';
+import { vectorStore } from '../embeddings/store.js';
+import { tokenCounter } from '../llm/token-counter.js';
+
+// Tools available to every chat: knowledge-base search over uploaded
+// documents, a calculator and the current date/time.
+
+// Longest passage returned per search hit, to keep tool results small
+const MAX_PASSAGE_TOKENS = 300;
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    ln: Math.log,
+    log: Math.log10,
+    log2: Math.log2,
+    exp: Math.exp,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow
+};
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+/**
+ * Evaluate an arithmetic expression without `eval`: numbers, + - * / % ^,
+ * parentheses, the functions above and the constants pi and e.
+ */
+function evaluateExpression(expression) {
+    const tokens = expression.match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),]/gi) || [];
+    if (tokens.join('') !== expression.replace(/\s+/g, '')) {
+        throw new Error('Unsupported characters in expression');
+    }
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) {
+            throw new Error(`Expected "${token}"`);
+        }
+    };
+
+    // expression := term (('+' | '-') term)*
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    };
+
+    // term := power (('*' | '/' | '%') power)*
+    const parseTerm = () => {
+        let value = parsePower();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const operator = next();
+            const right = parsePower();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+
+    // power := unary (('^' | '**') power)?   (right-associative)
+    const parsePower = () => {
+        const base = parseUnary();
+        if (peek() === '^' || peek() === '**') {
+            next();
+            return Math.pow(base, parsePower());
+        }
+        return base;
+    };
+
+    const parseUnary = () => {
+        if (peek() === '-') {
+            next();
+            return -parseUnary();
+        }
+        if (peek() === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) {
+            throw new Error('Unexpected end of expression');
+        }
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        if (/^[\d.]/.test(token)) {
+            return parseFloat(token);
+        }
+
+        const name = token.toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) {
+            return CONSTANTS[name];
+        }
+        if (Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+            expect('(');
+            const args = [parseExpression()];
+            while (peek() === ',') {
+                next();
+                args.push(parseExpression());
+            }
+            expect(')');
+            return FUNCTIONS[name](...args);
+        }
+        throw new Error(`Unknown name "${token}"`);
+    };
+
+    const value = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${peek()}"`);
+    }
+    return value;
+}
+
+const BUILTIN_TOOLS = [
+    {
+        name: 'search_knowledge_base',
+        description: 'Search the documents the user uploaded and return the most relevant passages. Use it for questions about the user\'s files or facts that may be in them.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'What to look for, phrased as a question or keywords' },
+                top_k: { type: 'integer', description: 'Number of passages to return (1-5, default 3)' }
+            },
+            required: ['query']
+        },
+        handler: async ({ query, top_k: topK = 3 }) => {
+            if (!query) {
+                throw new Error('query is required');
+            }
+
+            const { results } = await vectorStore.search(String(query), {
+                topK: Math.min(Math.max(parseInt(topK, 10) || 3, 1), 5),
+                threshold: 0.2,
+                useMMR: true
+            });
+
+            if (results.length === 0) {
+                return 'No relevant passages found in the knowledge base.';
+            }
+
+            return results.map(result => {
+                let text = result.chunk.text;
+                const tokens = tokenCounter.count(text, 'llm');
+                if (tokens > MAX_PASSAGE_TOKENS) {
+                    text = `${text.slice(0, Math.floor(text.length * MAX_PASSAGE_TOKENS / tokens))}…`;
+                }
+                return {
+                    document: result.document?.name,
+                    relevance: Number(result.score.toFixed(3)),
+                    text
+                };
+            });
+        }
+    },
+    {
+        name: 'calculator',
+        description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, ln, log (base 10), log2, exp, min, max, pow, pi and e.',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression, e.g. "(12.5 * 4) / sqrt(16)"' }
+            },
+            required: ['expression']
+        },
+        handler: async ({ expression }) => {
+            if (!expression) {
+                throw new Error('expression is required');
+            }
+            const value = evaluateExpression(String(expression));
+            if (!Number.isFinite(value)) {
+                throw new Error('The result is not a finite number');
+            }
+            return { expression, result: Number(value.toPrecision(15)) };
+        }
+    },
+    {
+        name: 'get_current_datetime',
+        description: 'Get the current date and time on the user\'s device, optionally in another time zone.',
+        parameters: {
+            type: 'object',
+            properties: {
+                time_zone: { type: 'string', description: 'IANA time zone such as "Europe/Paris"; defaults to the user\'s' }
+            }
+        },
+        handler: async ({ time_zone: timeZone } = {}) => {
+            const now = new Date();
+            const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const formatted = new Intl.DateTimeFormat('en-US', {
+                dateStyle: 'full',
+                timeStyle: 'long',
+                timeZone: zone
+            }).format(now);
+
+            return { iso: now.toISOString(), local: formatted, timeZone: zone };
+        }
+    }
+];
+
+export function registerBuiltinTools() {
+    BUILTIN_TOOLS.forEach(tool => toolRegistry.register(tool));
+}
+
+export { BUILTIN_TOOLS, evaluateExpression };
@@ -0,0 +1,149 @@
+import logger from '../utils/logger.js';
+
+// Registry of tools the LLM can call. Tools follow the function-calling
+// format Qwen2.5 is trained on: definitions go into the chat template as
+// {"type": "function", "function": {name, description, parameters}}, the
+// model answers with <tool_call>{"name": ..., "arguments": {...}}</tool_call>
+// blocks, and results go back as "tool" messages.
+
+const TOOL_CALL_PATTERN = /<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g;
+const TOOL_CALL_OPEN = '<tool_call>';
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Add a tool. `parameters` is a JSON Schema for the arguments object;
+     * `handler(args)` may be async and return a string or anything
+     * JSON-serializable.
+     */
+    register({ name, description, parameters = { type: 'object', properties: {} }, handler }) {
+        if (!name || typeof handler !== 'function') {
+            throw new Error('A tool needs a name and a handler function');
+        }
+
+        this.tools.set(name, { name, description, parameters, handler });
+        logger.log(`[Tools] Registered tool: ${name}`);
+    }
+
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    list() {
+        return Array.from(this.tools.values());
+    }
+
+    /**
+     * Definitions in chat-template form for `names` (all tools when omitted).
+     * Plain data, so they can be posted to the inference worker.
+     */
+    getDefinitions(names = null) {
+        return this.list()
+            .filter(tool => !names || names.includes(tool.name))
+            .map(({ name, description, parameters }) => ({
+                type: 'function',
+                function: { name, description, parameters }
+            }));
+    }
+
+    /**
+     * Tool calls in a model response, in order. Blocks that aren't valid JSON
+     * are returned with an `error` so the model can be told.
+     */
+    parseToolCalls(text) {
+        const calls = [];
+        for (const match of text.matchAll(TOOL_CALL_PATTERN)) {
+            try {
+                const parsed = JSON.parse(match[1]);
+                let args = parsed.arguments ?? parsed.parameters ?? {};
+                if (typeof args === 'string') {
+                    args = JSON.parse(args);
+                }
+                calls.push({ name: parsed.name, arguments: args });
+            } catch (error) {
+                calls.push({ name: null, arguments: null, error: `Invalid tool call: ${error.message}` });
+            }
+        }
+        return calls;
+    }
+
+    /**
+     * The part of a response meant for the user: tool call blocks removed,
+     * including an unfinished one. While `streaming`, trailing text that may
+     * turn out to start a block is held back too.
+     */
+    getVisibleText(text, streaming = false) {
+        let visible = text.replace(TOOL_CALL_PATTERN, '');
+
+        const openIndex = visible.indexOf(TOOL_CALL_OPEN);
+        if (openIndex !== -1) {
+            visible = visible.slice(0, openIndex);
+        }
+        if (!streaming) {
+            return visible.trim();
+        }
+
+        for (let length = Math.min(TOOL_CALL_OPEN.length - 1, visible.length); length > 0; length--) {
+            if (TOOL_CALL_OPEN.startsWith(visible.slice(-length))) {
+                return visible.slice(0, -length);
+            }
+        }
+        return visible;
+    }
+
+    /**
+     * Run one parsed call. Never throws: failures come back as an error
+     * result the model can read and react to.
+     */
+    async execute(call) {
+        const startTime = performance.now();
+
+        if (call.error) {
+            return { name: call.name, arguments: call.arguments, result: call.error, error: true };
+        }
+
+        const tool = this.tools.get(call.name);
+        if (!tool) {
+            return { name: call.name, arguments: call.arguments, result: `Unknown tool: ${call.name}`, error: true };
+        }
+
+        try {
+            const output = await tool.handler(call.arguments || {});
+            const result = typeof output === 'string' ? output : JSON.stringify(output);
+            logger.log(`[Tools] ${call.name} finished in ${(performance.now() - startTime).toFixed(0)}ms`);
+            return { name: call.name, arguments: call.arguments, result, error: false };
+        } catch (error) {
+            logger.warn(`[Tools] ${call.name} failed:`, error);
+            return { name: call.name, arguments: call.arguments, result: `Error: ${error.message}`, error: true };
+        }
+    }
+
+    /**
+     * Qwen-style tool instructions, for chat templates that ignore the
+     * `tools` argument.
+     */
+    renderInstructions(definitions) {
+        return '# Tools\n\n' +
+            'You may call one or more functions to assist with the user query.\n\n' +
+            'You are provided with function signatures within <tools></tools> XML tags:\n' +
+            `<tools>\n${definitions.map(definition => JSON.stringify(definition)).join('\n')}\n</tools>\n\n` +
+            'For each function call, return a json object with function name and arguments within <tool_call></tool_call> XML tags:\n' +
+            '<tool_call>\n{"name": <function-name>, "arguments": <args-json-object>}\n</tool_call>';
+    }
+}
+
+// Create singleton instance
+const toolRegistry = new ToolRegistry();
+
+export { toolRegistry, ToolRegistry };
+
+export function registerTool(tool) {
+    return toolRegistry.register(tool);
+}
@@ -1,5 +1,8 @@
 import logger from '../utils/logger.js';
 
+// Voice used when the caller doesn't pick one
+export const DEFAULT_VOICE = 'af_heart';
+
 export class TTSEngine {
     constructor() {
         this.model = null;
@@ -45,7 +48,8 @@ export class TTSEngine {
     }
 
     estimateTokenCount(text) {
-        // Approximate token count: 1 token ≈ 4 characters
+        // Approximate token count: 1 token ≈ 4 characters. Kokoro's phonemes
+        // aren't the LLM's vocabulary, so the LLM tokenizer doesn't apply here.
         return Math.ceil(text.length / 4);
     }
 
@@ -64,7 +68,7 @@ export class TTSEngine {
         }
 
         const {
-            voice = 'af_heart',
+            voice = DEFAULT_VOICE,
             speed = 1.0
         } = options;
 
@@ -100,7 +104,7 @@ export class TTSEngine {
         }
 
         const {
-            voice = 'af_heart',
+            voice = DEFAULT_VOICE,
             speed = 1.0
         } = options;
 
@@ -1,5 +1,6 @@
 import ttsEngine from './tts-engine.js';
 import AudioPlayer from './audio-player.js';
+import { stripReasoning } from '../llm/reasoning.js';
 import logger from '../utils/logger.js';
 
 class TTSUI {
@@ -387,7 +388,8 @@ class TTSUI {
      * DOM .textContent to strip exactly what the app recognises as markup.
      */
     prepareTextForTTS(rawText) {
-        let text = rawText;
+        // A reasoning model's thinking isn't part of the answer
+        let text = stripReasoning(rawText);
 
         // --- Pre-process patterns not handled by renderMarkdown ---
         // Remove code blocks entirely (we don't want code read aloud)
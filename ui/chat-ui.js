@@ -1,10 +1,24 @@
 import { SimpleStore } from '../utils/idb.js';
 import { chatEngine } from '../llm/chat-engine.js';
+import { contextManager } from '../llm/context-manager.js';
+import { tokenCounter } from '../llm/token-counter.js';
+import { conversationSummarizer } from '../llm/summarizer.js';
+import { promptPresets, DEFAULT_PRESET_ID } from '../llm/prompt-presets.js';
 import { ragPipeline } from '../rag/rag.js';
 import { vectorStore } from '../embeddings/store.js';
+import { toolRegistry } from '../tools/registry.js';
 import { addTTSButton, stopAllTTS } from '../tts/tts-ui.js';
 import logger from '../utils/logger.js';
 
+// Finish reasons that leave a reply cut short, so it can be continued
+const CONTINUABLE_FINISH_REASONS = ['length', 'timeout', 'abort'];
+
+// Per-session records kept in the message store next to the messages
+const SESSION_RECORD_ROLES = ['summary', 'root', 'preset'];
+
+// Preset picked most recently, which new conversations start with
+const LAST_PRESET_KEY = 'llm-web-prompt-preset';
+
 class ChatUI {
     constructor() {
         this.elements = null;
@@ -14,7 +28,24 @@ class ChatUI {
         this.currentSessionId = null;
         this.ragEnabled = false;
         this.ragThreshold = 0.2;
+        this.toolsEnabled = false;
+        // Capture per-token probabilities and show replies as a heatmap
+        this.logprobsEnabled = false;
+        // Let reasoning models think before answering
+        this.thinkingEnabled = true;
+        this.tokenTooltip = null;
         this.currentSources = [];
+        // Running summary of the current session's older turns, if any
+        this.summary = null;
+        // Chosen first message when the first message has been edited
+        this.activeRootId = null;
+        // Prompt preset of the current session (see prompt-presets.js)
+        this.presetId = localStorage.getItem(LAST_PRESET_KEY) || DEFAULT_PRESET_ID;
+        // Prompts sent while a reply is generating, answered in order
+        this.promptQueue = [];
+        this.processingQueue = false;
+        // Hands the model on once the current reply is done (see chatEngine.acquire)
+        this.releaseEngine = null;
     }
 
     async initialize(elements) {
@@ -45,6 +76,10 @@ class ChatUI {
             this.autoResizeInput();
         });
 
+        this.elements.summaryBtn?.addEventListener('click', () => {
+            this.editSummary();
+        });
+
         // Note: clearChatBtn and exportChatBtn event listeners are handled in app.js
         // to avoid duplicate event listeners
     }
@@ -66,43 +101,431 @@ class ChatUI {
     }
 
     async restoreSession(sessionId) {
-        const messages = await this.chatStore.getAll();
-        const sessionMessages = messages
-            .filter(msg => msg.sessionId === sessionId)
+        this.summary = await this.chatStore.get(`${sessionId}_summary`) || null;
+        this.updateSummaryIndicator();
+        this.activeRootId = (await this.chatStore.get(`${sessionId}_root`))?.activeChildId || null;
+        // Sessions from before presets keep the one picked last
+        this.presetId = (await this.chatStore.get(`${sessionId}_preset`))?.presetId || this.presetId;
+
+        await this.renderActivePath();
+    }
+
+    /**
+     * Stored messages of a session, oldest first, each with the `parentId`
+     * of the message it follows (null for the first). Messages are a tree:
+     * regenerating a reply or editing a question adds a sibling under the
+     * same parent. Messages saved before branching existed get the previous
+     * message as their parent.
+     */
+    async getSessionMessages(sessionId = this.currentSessionId) {
+        const messages = (await this.chatStore.getAll())
+            .filter(msg => msg.sessionId === sessionId && !SESSION_RECORD_ROLES.includes(msg.role))
             .sort((a, b) => a.timestamp - b.timestamp);
 
-        if (sessionMessages.length > 0) {
-            // Clear welcome message
-            const welcomeMessage = this.elements.chatTranscript.querySelector('.welcome-message');
-            if (welcomeMessage) {
-                welcomeMessage.remove();
+        let previousId = null;
+        return messages.map(msg => {
+            const resolved = 'parentId' in msg ? msg : { ...msg, parentId: previousId };
+            previousId = msg.id;
+            return resolved;
+        });
+    }
+
+    getChildren(messages, parentId) {
+        return messages.filter(msg => msg.parentId === parentId);
+    }
+
+    /**
+     * The branch from the first message down to `leafId`.
+     */
+    getBranch(messages, leafId) {
+        const byId = new Map(messages.map(msg => [msg.id, msg]));
+        const branch = [];
+        for (let msg = byId.get(leafId); msg; msg = byId.get(msg.parentId)) {
+            branch.unshift(msg);
+        }
+        return branch;
+    }
+
+    /**
+     * The branch shown in the transcript: from the chosen first message,
+     * follow each message's chosen child (`activeChildId`), or its newest one.
+     */
+    getActivePath(messages) {
+        const path = [];
+        let parent = null;
+        for (;;) {
+            const children = this.getChildren(messages, parent ? parent.id : null);
+            if (children.length === 0) {
+                return path;
             }
+            const activeId = parent ? parent.activeChildId : this.activeRootId;
+            parent = children.find(msg => msg.id === activeId) || children[children.length - 1];
+            path.push(parent);
+        }
+    }
 
-            // Restore messages
-            sessionMessages.forEach((msg, index) => {
-                const messageElement = this.createMessageElement(msg.role, msg.content);
-                if (msg.sources && msg.sources.length > 0) {
-                    this.addSourcesToMessage(messageElement, msg.sources);
-                }
-                this.elements.chatTranscript.appendChild(messageElement);
+    /**
+     * Remember which child of `parentId` is shown. The choice among first
+     * messages (`parentId` null) lives in a per-session "root" record.
+     */
+    async setActiveChild(parentId, childId) {
+        if (parentId === null) {
+            this.activeRootId = childId;
+            await this.chatStore.put({
+                id: `${this.currentSessionId}_root`,
+                sessionId: this.currentSessionId,
+                role: 'root',
+                activeChildId: childId,
+                timestamp: Date.now()
+            });
+            return;
+        }
 
-                // Add TTS button for assistant messages in history
-                if (msg.role === 'assistant' && msg.content) {
-                    const messageId = messageElement.dataset.messageId;
-                    addTTSButton(messageElement, msg.content, messageId);
-                }
+        const parent = await this.chatStore.get(parentId);
+        if (parent && parent.activeChildId !== childId) {
+            await this.chatStore.put({ ...parent, activeChildId: childId });
+        }
+    }
+
+    async renderActivePath() {
+        const messages = await this.getSessionMessages();
+        this.renderPath(this.getActivePath(messages), messages);
+    }
+
+    /**
+     * Replace the transcript with the stored messages of `path`.
+     */
+    renderPath(path, messages) {
+        this.elements.chatTranscript.querySelectorAll('.message').forEach(element => element.remove());
+        if (path.length === 0) {
+            return;
+        }
+
+        // Clear welcome message
+        const welcomeMessage = this.elements.chatTranscript.querySelector('.welcome-message');
+        if (welcomeMessage) {
+            welcomeMessage.remove();
+        }
+
+        path.forEach(msg => {
+            const messageElement = this.createMessageElement(msg.role, msg.content);
+            messageElement.dataset.recordId = msg.id;
+            if (msg.sources && msg.sources.length > 0) {
+                this.addSourcesToMessage(messageElement, msg.sources);
+            }
+            if (msg.contextTruncation) {
+                this.addTruncationNote(messageElement, msg.contextTruncation);
+            }
+            if (msg.reasoning) {
+                this.updateReasoningPanel(this.addReasoningPanel(messageElement), msg.reasoning.text, msg.reasoning.time, true);
+            }
+            msg.toolCalls?.forEach(result => {
+                this.setToolResult(this.addToolCall(messageElement, result), result);
+            });
+            this.addMessageActions(messageElement, msg, messages);
+            if (msg.logprobs) {
+                this.setHeatmapVisible(messageElement, msg, true);
+            }
+            this.elements.chatTranscript.appendChild(messageElement);
+        });
+
+        this.scrollToBottom();
+    }
+
+    /**
+     * Edit button for questions, regenerate button for replies, plus
+     * "‹ 2/3 ›" navigation when the message has siblings.
+     */
+    addMessageActions(messageElement, message, messages) {
+        messageElement.querySelector('.message-actions')?.remove();
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const siblings = this.getChildren(messages, message.parentId);
+        if (siblings.length > 1) {
+            const index = siblings.findIndex(msg => msg.id === message.id);
+            const nav = document.createElement('div');
+            nav.className = 'branch-nav';
+
+            const previous = document.createElement('button');
+            previous.className = 'branch-nav-btn';
+            previous.textContent = '‹';
+            previous.title = 'Previous version';
+            previous.disabled = index === 0;
+            previous.addEventListener('click', () => this.showBranch(siblings[index - 1].id));
+
+            const position = document.createElement('span');
+            position.className = 'branch-position';
+            position.textContent = `${index + 1}/${siblings.length}`;
+
+            const next = document.createElement('button');
+            next.className = 'branch-nav-btn';
+            next.textContent = '›';
+            next.title = 'Next version';
+            next.disabled = index === siblings.length - 1;
+            next.addEventListener('click', () => this.showBranch(siblings[index + 1].id));
+
+            nav.append(previous, position, next);
+            actions.appendChild(nav);
+        }
+
+        if (message.role === 'user') {
+            const edit = document.createElement('button');
+            edit.className = 'message-action-btn';
+            edit.textContent = '✎ Edit';
+            edit.title = 'Edit this message and ask again in a new branch';
+            edit.addEventListener('click', () => this.editMessage(message.id));
+            actions.appendChild(edit);
+        }
+
+        if (message.logprobs) {
+            const heatmap = document.createElement('button');
+            heatmap.className = 'message-action-btn heatmap-toggle';
+            heatmap.title = 'Switch between token probabilities and formatted text';
+            heatmap.addEventListener('click', () => {
+                this.setHeatmapVisible(messageElement, message, messageElement.dataset.view !== 'heatmap');
             });
+            actions.appendChild(heatmap);
+        }
+
+        if (message.role === 'assistant' && CONTINUABLE_FINISH_REASONS.includes(message.finishReason)) {
+            const resume = document.createElement('button');
+            resume.className = 'message-action-btn';
+            resume.textContent = '→ Continue';
+            resume.title = message.finishReason === 'length'
+                ? 'The reply hit the token limit. Generate more of it.'
+                : 'The reply was cut short. Generate more of it.';
+            resume.addEventListener('click', () => this.continueReply(message.id, messageElement));
+            actions.appendChild(resume);
+        }
+
+        if (message.role === 'assistant') {
+            const regenerate = document.createElement('button');
+            regenerate.className = 'message-action-btn';
+            regenerate.textContent = '↻ Regenerate';
+            regenerate.title = 'Generate another answer to this question';
+            regenerate.addEventListener('click', () => this.regenerate(message.id));
+            actions.appendChild(regenerate);
+        }
+
+        if (actions.childElementCount > 0) {
+            messageElement.appendChild(actions);
+        }
+    }
+
+    /**
+     * Switch the transcript to the branch through `messageId`. Later turns
+     * come from that branch too, and new messages continue it.
+     */
+    async showBranch(messageId) {
+        if (this.isBusy()) {
+            return;
+        }
+
+        const message = (await this.getSessionMessages()).find(msg => msg.id === messageId);
+        if (message) {
+            await this.setActiveChild(message.parentId, messageId);
+        }
+        await this.renderActivePath();
+    }
+
+    /**
+     * Ask an edited version of the question `messageId` in a new branch
+     * from the same point. The original question, its answers and anything
+     * after them stay available as a sibling branch.
+     */
+    async editMessage(messageId) {
+        if (this.isBusy()) {
+            logger.warn('Generation already in progress');
+            return;
+        }
+
+        const original = (await this.getSessionMessages()).find(msg => msg.id === messageId);
+        if (!original || original.role !== 'user') {
+            return;
+        }
 
-            this.scrollToBottom();
+        const content = await this.showTextEditor(original.content, 'Edit Message', {
+            description: 'The assistant answers the edited message in a new branch. The original conversation stays available with the ‹ › arrows.',
+            confirmText: 'Send'
+        });
+        if (content === null || !content.trim() || content.trim() === original.content) {
+            return;
         }
+        if (this.isBusy()) {
+            // A queued prompt started while the editor was open
+            logger.warn('Generation already in progress');
+            return;
+        }
+
+        const edited = await this.saveMessage('user', content.trim(), null, { parentId: original.parentId });
+        await this.setActiveChild(original.parentId, edited.id);
+
+        const messages = await this.getSessionMessages();
+        this.renderPath(this.getBranch(messages, edited.id), messages);
+        await this.generateReply(edited, this.ragEnabled);
     }
 
-    async sendMessage(content, useRAG = null) {
-        if (this.isGenerating) {
+    /**
+     * Generate another answer to the question `replyId` answered. The old
+     * answer and anything after it stay available as a sibling branch.
+     */
+    async regenerate(replyId) {
+        if (this.isBusy()) {
             logger.warn('Generation already in progress');
             return;
         }
 
+        const messages = await this.getSessionMessages();
+        const reply = messages.find(msg => msg.id === replyId);
+        const question = messages.find(msg => msg.id === reply?.parentId);
+        if (!question || question.role !== 'user') {
+            logger.warn('[ChatUI] No question to regenerate an answer for');
+            return;
+        }
+
+        this.renderPath(this.getBranch(messages, question.id), messages);
+        await this.generateReply(question, this.ragEnabled);
+    }
+
+    /**
+     * Resume a reply that was cut short, appending to its bubble and record.
+     */
+    async continueReply(replyId, messageElement) {
+        if (this.isBusy()) {
+            logger.warn('Generation already in progress');
+            return;
+        }
+
+        const messages = await this.getSessionMessages();
+        const reply = messages.find(msg => msg.id === replyId);
+        const question = messages.find(msg => msg.id === reply?.parentId);
+        if (!reply || !question) {
+            return;
+        }
+
+        await this.generateReply(question, this.ragEnabled, { reply, messageElement });
+    }
+
+    isBusy() {
+        return this.isGenerating || this.processingQueue;
+    }
+
+    /**
+     * Queue `content` to be asked once earlier prompts have been answered.
+     * Resolves when its reply is done, or when it is cancelled.
+     */
+    sendMessage(content, useRAG = null) {
+        return new Promise((resolve, reject) => {
+            this.promptQueue.push({
+                id: `prompt_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+                content,
+                useRAG,
+                resolve,
+                reject
+            });
+            this.renderQueue();
+            this.processQueue();
+        });
+    }
+
+    async processQueue() {
+        // A regenerate or edit in progress restarts the queue when it finishes
+        if (this.processingQueue || this.isGenerating) {
+            return;
+        }
+
+        this.processingQueue = true;
+        try {
+            while (this.promptQueue.length > 0) {
+                const prompt = this.promptQueue.shift();
+                this.renderQueue();
+                try {
+                    await this.askQuestion(prompt.content, prompt.useRAG);
+                    prompt.resolve();
+                } catch (error) {
+                    prompt.reject(error);
+                }
+            }
+        } finally {
+            this.processingQueue = false;
+        }
+    }
+
+    moveQueuedPrompt(id, offset) {
+        const index = this.promptQueue.findIndex(prompt => prompt.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.promptQueue.length) {
+            return;
+        }
+
+        const [prompt] = this.promptQueue.splice(index, 1);
+        this.promptQueue.splice(target, 0, prompt);
+        this.renderQueue();
+    }
+
+    cancelQueuedPrompt(id) {
+        const index = this.promptQueue.findIndex(prompt => prompt.id === id);
+        if (index === -1) {
+            return;
+        }
+
+        const [prompt] = this.promptQueue.splice(index, 1);
+        prompt.resolve();
+        this.renderQueue();
+    }
+
+    clearQueue() {
+        this.promptQueue.splice(0).forEach(prompt => prompt.resolve());
+        this.renderQueue();
+    }
+
+    /**
+     * Show waiting prompts above the message box, each with move and
+     * cancel buttons.
+     */
+    renderQueue() {
+        const list = this.elements?.promptQueue;
+        if (!list) {
+            return;
+        }
+
+        list.innerHTML = '';
+        list.hidden = this.promptQueue.length === 0;
+
+        this.promptQueue.forEach((prompt, index) => {
+            const item = document.createElement('li');
+            item.className = 'queued-prompt';
+
+            const text = document.createElement('span');
+            text.className = 'queued-prompt-text';
+            text.textContent = prompt.content;
+            text.title = prompt.content;
+
+            const button = (label, title, disabled, onClick) => {
+                const element = document.createElement('button');
+                element.type = 'button';
+                element.className = 'queued-prompt-btn';
+                element.textContent = label;
+                element.title = title;
+                element.setAttribute('aria-label', title);
+                element.disabled = disabled;
+                element.addEventListener('click', onClick);
+                return element;
+            };
+
+            item.append(
+                text,
+                button('↑', 'Move up', index === 0, () => this.moveQueuedPrompt(prompt.id, -1)),
+                button('↓', 'Move down', index === this.promptQueue.length - 1, () => this.moveQueuedPrompt(prompt.id, 1)),
+                button('✕', 'Remove from queue', false, () => this.cancelQueuedPrompt(prompt.id))
+            );
+            list.appendChild(item);
+        });
+    }
+
+    async askQuestion(content, useRAG = null) {
         const shouldUseRAG = useRAG !== null ? useRAG : this.ragEnabled;
 
         // Clear welcome message
@@ -111,9 +534,30 @@ class ChatUI {
             welcomeMessage.remove();
         }
 
-        // Add user message
-        this.renderMessage('user', content);
-        await this.saveMessage('user', content);
+        // Add user message, continuing the branch on screen
+        const path = this.getActivePath(await this.getSessionMessages());
+        const userMessage = await this.saveMessage('user', content, null, {
+            parentId: path.length > 0 ? path[path.length - 1].id : null
+        });
+        const messageElement = this.createMessageElement('user', content);
+        messageElement.dataset.recordId = userMessage.id;
+        this.addMessageActions(messageElement, userMessage, [userMessage]);
+        this.elements.chatTranscript.appendChild(messageElement);
+        this.scrollToBottom();
+
+        await this.generateReply(userMessage, shouldUseRAG);
+    }
+
+    /**
+     * Stream an answer to the stored `userMessage`, using the branch that
+     * leads to it as history, and save it as that message's newest reply.
+     * With `continuation` ({ reply, messageElement }) the stored reply is
+     * extended instead: its text is the prefix the model continues, and the
+     * new text goes into the same bubble and record.
+     */
+    async generateReply(userMessage, shouldUseRAG, continuation = null) {
+        const { content } = userMessage;
+        const prefix = continuation ? continuation.reply.content : '';
 
         // Prepare for generation
         this.isGenerating = true;
@@ -125,8 +569,24 @@ class ChatUI {
         let sources = [];
 
         try {
-            // Prepare messages
-            let messages = await this.getConversationHistory();
+            // The OpenAI API shares the model; wait for its requests to finish
+            const waitStatus = chatEngine.isActive() ? this.showWaitStatus() : null;
+            try {
+                this.releaseEngine = await chatEngine.acquire(this.abortController.signal);
+            } finally {
+                waitStatus?.remove();
+            }
+
+            // Fold older turns into the running summary once the session gets long
+            await this.updateSummary(userMessage.id);
+            if (this.abortController.signal.aborted) {
+                return;
+            }
+
+            // Prepare messages; the history already ends with the message being answered
+            let messages = await this.getConversationHistory(userMessage.id);
+            const preset = this.getPreset();
+            let systemPrompt = await this.getSystemPrompt(preset, userMessage.id);
 
             // Apply RAG if enabled
             if (shouldUseRAG) {
@@ -140,61 +600,165 @@ class ChatUI {
                 const ragResult = await ragPipeline.processQuery(content, {
                     maxContextTokens: 1500,
                     topK: 5,
-                    threshold: this.ragThreshold  // Use configurable threshold
+                    threshold: this.ragThreshold,  // Use configurable threshold
+                    systemPrompt: await promptPresets.render(preset.ragPrompt)
                 });
 
                 // Update RAG status
                 if (ragResult.context && ragResult.sources.length > 0) {
                     sources = ragResult.sources;
-                    messages = ragResult.messages;
                     ragStatus.textContent = `✅ Found ${ragResult.sources.length} relevant document${ragResult.sources.length > 1 ? 's' : ''}`;
                     ragStatus.style.background = '#e8f4e8';
                     ragStatus.style.color = '#2d7a2d';
 
-                    // Add conversation history after system message with context
-                    const history = await this.getConversationHistory();
-                    if (history.length > 1) {
-                        messages = [
-                            messages[0], // System message with context
-                            ...history.slice(0, -1), // Previous messages (excluding current)
-                            messages[1] // Current user message
-                        ];
-                    }
+                    // The RAG instructions and retrieved context follow the conversation's own prompt
+                    const ragSystemMessage = ragResult.messages[0].content;
+                    systemPrompt = systemPrompt ? `${systemPrompt}\n\n${ragSystemMessage}` : ragSystemMessage;
                 } else {
                     // No context found - show warning and proceed without RAG
                     ragStatus.textContent = '⚠️ No relevant documents found. Answering without additional context.';
                     ragStatus.style.background = '#fff3cd';
                     ragStatus.style.color = '#856404';
 
-                    // Fall back to regular conversation
-                    messages = await this.getConversationHistory();
-                    messages.push({ role: 'user', content });
-
                     logger.log('[ChatUI] RAG search returned no results, proceeding without context');
                 }
 
                 // Remove status after a delay
                 setTimeout(() => ragStatus.remove(), 5000);
-            } else {
-                messages.push({ role: 'user', content });
             }
 
-            // Create message element for streaming
-            const messageElement = this.createMessageElement('assistant', '');
+            // With tools on, the model may call them before answering; a
+            // continuation only extends the text
+            const useTools = this.toolsEnabled && !continuation;
+
+            // Drop the oldest turns if the prompt would overflow the model's context
+            const maxNewTokens = parseInt(this.elements.maxTokensSlider?.value || 256, 10);
+            const context = contextManager.fitMessages(messages, {
+                systemPrompt,
+                // Tool definitions are rendered into the prompt as well
+                tools: useTools ? toolRegistry.getDefinitions() : null,
+                // A continued reply's text is part of the prompt too
+                maxNewTokens: maxNewTokens + (prefix ? tokenCounter.count(prefix, 'llm') : 0)
+            });
+            messages = context.messages;
+
+            // Create message element for streaming, or reuse the one being continued
+            let messageElement;
+            if (continuation) {
+                messageElement = continuation.messageElement;
+                messageElement.querySelector('.message-actions')?.remove();
+            } else {
+                messageElement = this.createMessageElement('assistant', '');
+                this.elements.chatTranscript.appendChild(messageElement);
+            }
             const contentElement = messageElement.querySelector('.message-content');
-            this.elements.chatTranscript.appendChild(messageElement);
+
+            const generate = useTools
+                ? (options) => chatEngine.generateWithTools(options)
+                : (options) => chatEngine.generateStream(options);
+            let toolCallElement = null;
+            let reasoningPanel = null;
+            let reasoningText = '';
+
+            // Shows and stores the finished reply. Awaited after generation, so the
+            // engine and the prompt queue only move on once the reply is saved.
+            const finishReply = async (stats) => {
+                const newText = stats.text || responseText;
+                const text = prefix + newText;
+
+                // Add TTS button for the complete message
+                const messageId = messageElement.dataset.messageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                messageElement.dataset.messageId = messageId;
+                contentElement.innerHTML = this.renderMarkdown(text);
+                addTTSButton(messageElement, text, messageId);
+
+                // Kept with the reply for display only; the history sent to the model leaves it out
+                const reasoning = stats.reasoning ? { text: stats.reasoning, time: stats.reasoningTime } : null;
+                if (reasoning) {
+                    reasoningPanel ??= this.addReasoningPanel(messageElement);
+                    this.updateReasoningPanel(reasoningPanel, reasoning.text, reasoning.time, true);
+                }
+
+                if (stats.finishReason && stats.finishReason !== 'eos') {
+                    logger.log(`[ChatUI] Reply ended early: ${stats.finishReason}`);
+                }
+
+                if (continuation) {
+                    // Sources and notes from the first part are already shown
+                    const logprobs = this.matchLogprobs(stats.logprobs, newText);
+                    const reply = {
+                        ...continuation.reply,
+                        content: text,
+                        finishReason: stats.finishReason || null,
+                        logprobs: continuation.reply.logprobs && logprobs
+                            ? [...continuation.reply.logprobs, ...logprobs]
+                            : null
+                    };
+                    await this.chatStore.put(reply);
+                    this.addMessageActions(messageElement, reply, await this.getSessionMessages());
+                    if (reply.logprobs) {
+                        this.setHeatmapVisible(messageElement, reply, true);
+                    }
+                    return;
+                }
+
+                // Add sources if available
+                if (sources && sources.length > 0) {
+                    this.addSourcesToMessage(messageElement, sources);
+                    logger.log(`[ChatUI] Response generated with ${sources.length} sources`);
+                } else if (shouldUseRAG) {
+                    // Add note that no sources were used despite RAG being enabled
+                    const noSourcesNote = document.createElement('div');
+                    noSourcesNote.className = 'no-sources-note';
+                    noSourcesNote.style.cssText = 'font-size: 0.85em; color: #888; margin-top: 8px; font-style: italic;';
+                    noSourcesNote.textContent = 'ℹ️ Answered without document context';
+                    messageElement.appendChild(noSourcesNote);
+                }
+
+                if (context.truncated) {
+                    this.addTruncationNote(messageElement, context);
+                }
+
+                // Save assistant message as the chosen reply to the question
+                const reply = await this.saveMessage('assistant', text, sources, {
+                    parentId: userMessage.id,
+                    finishReason: stats.finishReason || null,
+                    reasoning,
+                    contextTruncation: context.truncated ? this.describeTruncation(context) : null,
+                    toolCalls: stats.toolCalls?.length ? stats.toolCalls : null,
+                    logprobs: this.matchLogprobs(stats.logprobs, text)
+                });
+                await this.setActiveChild(userMessage.id, reply.id);
+                messageElement.dataset.recordId = reply.id;
+                this.addMessageActions(messageElement, reply, await this.getSessionMessages());
+                if (reply.logprobs) {
+                    this.setHeatmapVisible(messageElement, reply, true);
+                }
+
+                // Update final stats
+                if (stats.tokensPerSecond) {
+                    logger.log(`Generation stats: ${stats.tokens} tokens in ${(stats.time / 1000).toFixed(1)}s (${stats.tokensPerSecond.toFixed(1)} tok/s`);
+                }
+            };
+            let saving = null;
 
             // Generate response with streaming
-            await chatEngine.generateStream({
+            await generate({
                 messages,
-                params: {
-                    maxNewTokens: this.elements.maxTokensSlider?.value || 256,
-                    temperature: parseFloat(this.elements.temperatureSlider?.value || 0.7),
-                    topP: parseFloat(this.elements.topPSlider?.value || 0.9)
+                systemPrompt,
+                params: this.getGenerationParams(maxNewTokens),
+                logprobs: this.logprobsEnabled,
+                assistantPrefix: prefix,
+                thinking: this.thinkingEnabled,
+                onReasoning: (delta, stats) => {
+                    reasoningPanel ??= this.addReasoningPanel(messageElement);
+                    reasoningText += delta;
+                    this.updateReasoningPanel(reasoningPanel, reasoningText, stats.timeElapsed);
+                    this.scrollToBottom();
                 },
                 onToken: (token, stats) => {
                     responseText += token;
-                    contentElement.innerHTML = this.renderMarkdown(responseText);
+                    contentElement.innerHTML = this.renderMarkdown(prefix + responseText);
                     this.scrollToBottom();
 
                     // Update stats
@@ -206,32 +770,15 @@ class ChatUI {
                         this.elements.timeCounter.textContent = `Time: ${elapsed}s`;
                     }
                 },
-                onDone: async (stats) => {
-                    // Add TTS button for the complete message
-                    const messageId = messageElement.dataset.messageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                    messageElement.dataset.messageId = messageId;
-                    addTTSButton(messageElement, stats.text || responseText, messageId);
-
-                    // Add sources if available
-                    if (sources && sources.length > 0) {
-                        this.addSourcesToMessage(messageElement, sources);
-                        logger.log(`[ChatUI] Response generated with ${sources.length} sources`);
-                    } else if (shouldUseRAG) {
-                        // Add note that no sources were used despite RAG being enabled
-                        const noSourcesNote = document.createElement('div');
-                        noSourcesNote.className = 'no-sources-note';
-                        noSourcesNote.style.cssText = 'font-size: 0.85em; color: #888; margin-top: 8px; font-style: italic;';
-                        noSourcesNote.textContent = 'ℹ️ Answered without document context';
-                        messageElement.appendChild(noSourcesNote);
-                    }
-
-                    // Save assistant message
-                    await this.saveMessage('assistant', stats.text || responseText, sources);
-
-                    // Update final stats
-                    if (stats.tokensPerSecond) {
-                        logger.log(`Generation stats: ${stats.tokens} tokens in ${(stats.time / 1000).toFixed(1)}s (${stats.tokensPerSecond.toFixed(1)} tok/s`);
-                    }
+                onToolCall: (call) => {
+                    toolCallElement = this.addToolCall(messageElement, call);
+                    this.scrollToBottom();
+                },
+                onToolResult: (result) => {
+                    this.setToolResult(toolCallElement, result);
+                },
+                onDone: (stats) => {
+                    saving = finishReply(stats);
                 },
                 onError: (error) => {
                     logger.error('Generation error:', error);
@@ -239,24 +786,50 @@ class ChatUI {
                 },
                 signal: this.abortController.signal
             });
+            await saving;
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // Stopped before the model was free
+                return;
+            }
             logger.error('Chat error:', error);
             this.renderMessage('assistant', 'Sorry, an error occurred. Please try again.');
         } finally {
+            this.releaseEngine?.();
+            this.releaseEngine = null;
             this.isGenerating = false;
             this.abortController = null;
             this.updateGeneratingState(false);
+
+            // Pick up prompts queued during a regenerate or edit
+            this.processQueue();
         }
     }
 
     async stopGeneration() {
         if (this.abortController) {
             this.abortController.abort();
-            chatEngine.stop();
+            // While still waiting for the model, what it runs is someone else's
+            if (this.releaseEngine) {
+                chatEngine.stop();
+            }
         }
     }
 
+    /**
+     * Note shown while a reply waits for an API request to free the model.
+     */
+    showWaitStatus() {
+        const status = document.createElement('div');
+        status.className = 'rag-status';
+        status.style.cssText = 'padding: 8px; margin: 8px 0; background: #f0f4f8; border-radius: 4px; font-size: 0.9em; color: #666;';
+        status.textContent = '⏳ Waiting for the model to finish another request...';
+        this.elements.chatTranscript.appendChild(status);
+        this.scrollToBottom();
+        return status;
+    }
+
     renderMessage(role, content, sources = null) {
         const messageElement = this.createMessageElement(role, content);
 
@@ -329,6 +902,232 @@ class ChatUI {
         messageElement.appendChild(sourcesPanel);
     }
 
+    /**
+     * `logprobs` when its tokens spell out `text`; tool rounds or trimmed
+     * output can leave them describing something else.
+     */
+    matchLogprobs(logprobs, text) {
+        if (!logprobs?.length) {
+            return null;
+        }
+        return logprobs.map(entry => entry.token).join('').trim() === text.trim() ? logprobs : null;
+    }
+
+    /**
+     * Show a reply as a token probability heatmap, or back as formatted text.
+     * The TTS controls inside the content stay in place.
+     */
+    setHeatmapVisible(messageElement, message, visible) {
+        const content = messageElement.querySelector('.message-content');
+        const ttsControls = content.querySelector('.tts-controls');
+
+        if (visible) {
+            content.replaceChildren(this.createTokenHeatmap(message.logprobs));
+        } else {
+            const body = document.createElement('template');
+            body.innerHTML = this.renderMarkdown(message.content);
+            content.replaceChildren(body.content);
+        }
+        if (ttsControls) {
+            content.appendChild(ttsControls);
+        }
+
+        messageElement.dataset.view = visible ? 'heatmap' : 'text';
+        const toggle = messageElement.querySelector('.heatmap-toggle');
+        if (toggle) {
+            toggle.textContent = visible ? '¶ Text' : '▦ Probabilities';
+        }
+    }
+
+    /**
+     * Tokens shaded by how unlikely they were; hovering one lists its
+     * probability and the top alternatives.
+     */
+    createTokenHeatmap(logprobs) {
+        const heatmap = document.createElement('span');
+        heatmap.className = 'token-heatmap';
+
+        logprobs.forEach((entry, index) => {
+            const token = document.createElement('span');
+            token.className = 'heatmap-token';
+            token.textContent = entry.token;
+            token.dataset.index = index;
+            // Confident tokens stay plain; the less likely, the warmer
+            const probability = Math.exp(entry.logprob);
+            token.style.backgroundColor = `rgba(232, 70, 15, ${((1 - probability) * 0.55).toFixed(2)})`;
+            heatmap.appendChild(token);
+        });
+
+        heatmap.addEventListener('mouseover', (event) => {
+            const token = event.target.closest('.heatmap-token');
+            if (token) {
+                this.showTokenTooltip(token, logprobs[token.dataset.index]);
+            }
+        });
+        heatmap.addEventListener('mouseleave', () => this.hideTokenTooltip());
+
+        return heatmap;
+    }
+
+    showTokenTooltip(tokenElement, entry) {
+        if (!this.tokenTooltip) {
+            this.tokenTooltip = document.createElement('div');
+            this.tokenTooltip.className = 'token-tooltip';
+            this.tokenTooltip.setAttribute('role', 'tooltip');
+            document.body.appendChild(this.tokenTooltip);
+        }
+
+        const formatToken = (text) => JSON.stringify(text).slice(1, -1) || '∅';
+        const formatProbability = (logprob) => `${(Math.exp(logprob) * 100).toFixed(1)}%`;
+
+        const tooltip = this.tokenTooltip;
+        tooltip.replaceChildren();
+
+        const header = document.createElement('div');
+        header.className = 'token-tooltip-header';
+        header.textContent = `"${formatToken(entry.token)}" · ${formatProbability(entry.logprob)}`;
+        tooltip.appendChild(header);
+
+        const list = document.createElement('ol');
+        list.className = 'token-tooltip-alternatives';
+        entry.top_logprobs.forEach(alternative => {
+            const item = document.createElement('li');
+            const bar = document.createElement('span');
+            bar.className = 'token-tooltip-bar';
+            bar.style.width = `${Math.max(Math.exp(alternative.logprob) * 100, 1)}%`;
+            const label = document.createElement('span');
+            label.textContent = `"${formatToken(alternative.token)}" ${formatProbability(alternative.logprob)}`;
+            item.append(bar, label);
+            list.appendChild(item);
+        });
+        tooltip.appendChild(list);
+
+        const rect = tokenElement.getBoundingClientRect();
+        tooltip.hidden = false;
+        const left = Math.min(rect.left, window.innerWidth - tooltip.offsetWidth - 8);
+        const top = rect.bottom + tooltip.offsetHeight + 6 > window.innerHeight
+            ? rect.top - tooltip.offsetHeight - 6
+            : rect.bottom + 6;
+        tooltip.style.left = `${Math.max(left, 8)}px`;
+        tooltip.style.top = `${Math.max(top, 8)}px`;
+    }
+
+    hideTokenTooltip() {
+        if (this.tokenTooltip) {
+            this.tokenTooltip.hidden = true;
+        }
+    }
+
+    /**
+     * Generation `params` from the sidebar's sliders.
+     */
+    getGenerationParams(maxNewTokens) {
+        const value = (element, fallback) => parseFloat(element?.value ?? fallback);
+        const seed = parseInt(this.elements.seedInput?.value, 10);
+
+        return {
+            maxNewTokens,
+            temperature: value(this.elements.temperatureSlider, 0.7),
+            topP: value(this.elements.topPSlider, 0.9),
+            topK: value(this.elements.topKSlider, 50),
+            minP: value(this.elements.minPSlider, 0),
+            repetitionPenalty: value(this.elements.repetitionPenaltySlider, 1.1),
+            presencePenalty: value(this.elements.presencePenaltySlider, 0),
+            frequencyPenalty: value(this.elements.frequencyPenaltySlider, 0),
+            noRepeatNgramSize: value(this.elements.noRepeatNgramSlider, 0),
+            seed: this.elements.deterministicToggle?.checked && Number.isInteger(seed) ? seed : null
+        };
+    }
+
+    describeTruncation({ droppedMessages, trimmedMessage, contextLength }) {
+        return { droppedMessages, trimmedMessage, contextLength };
+    }
+
+    addTruncationNote(messageElement, { droppedMessages, trimmedMessage, contextLength }) {
+        const parts = [];
+        if (droppedMessages > 0) {
+            parts.push(`${droppedMessages} earlier message${droppedMessages > 1 ? 's were' : ' was'} left out`);
+        }
+        if (trimmedMessage) {
+            parts.push('your message was shortened');
+        }
+        const summary = parts.join(' and ');
+
+        const note = document.createElement('div');
+        note.className = 'context-truncated-note';
+        note.textContent = `✂️ ${summary.charAt(0).toUpperCase()}${summary.slice(1)} to fit the model's ${contextLength.toLocaleString()}-token context`;
+        note.title = 'The model only saw the most recent part of this conversation. Start a new chat or pick a model with a longer context to keep everything.';
+        messageElement.appendChild(note);
+    }
+
+    /**
+     * Add a collapsed "🔧 name(args)" entry for a tool call above the reply
+     * text; `setToolResult` fills in the outcome.
+     */
+    addToolCall(messageElement, call) {
+        let activity = messageElement.querySelector('.tool-activity');
+        if (!activity) {
+            activity = document.createElement('div');
+            activity.className = 'tool-activity';
+            messageElement.insertBefore(activity, messageElement.querySelector('.message-content'));
+        }
+
+        const args = Object.entries(call.arguments || {})
+            .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+            .join(', ');
+
+        const item = document.createElement('details');
+        item.className = 'tool-call pending';
+        const summary = document.createElement('summary');
+        summary.textContent = `🔧 ${call.name || 'invalid call'}(${args}) …`;
+        item.appendChild(summary);
+
+        activity.appendChild(item);
+        return item;
+    }
+
+    /**
+     * Collapsed "Thinking…" panel above a reply, for a reasoning model's
+     * thinking.
+     */
+    addReasoningPanel(messageElement) {
+        const panel = document.createElement('details');
+        panel.className = 'reasoning-panel thinking';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Thinking…';
+        const content = document.createElement('div');
+        content.className = 'reasoning-content';
+        panel.append(summary, content);
+
+        messageElement.insertBefore(panel, messageElement.querySelector('.message-content'));
+        return panel;
+    }
+
+    updateReasoningPanel(panel, text, time, done = false) {
+        const seconds = Math.max(1, Math.round((time || 0) / 1000));
+        const duration = seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+
+        panel.querySelector('summary').textContent = done ? `Thought for ${duration}` : `Thinking… ${duration}`;
+        panel.querySelector('.reasoning-content').textContent = text.trim();
+        panel.classList.toggle('thinking', !done);
+    }
+
+    setToolResult(item, result) {
+        if (!item) {
+            return;
+        }
+
+        const text = result.result.length > 1000 ? `${result.result.slice(0, 1000)}…` : result.result;
+        const summary = item.querySelector('summary');
+        summary.textContent = summary.textContent.replace(/ …$/, result.error ? ' ⚠️ failed' : ' ✓');
+
+        const output = document.createElement('pre');
+        output.textContent = text;
+        item.appendChild(output);
+        item.classList.remove('pending');
+        item.classList.toggle('failed', result.error);
+    }
+
     renderMarkdown(text) {
         // Basic markdown rendering
         let html = text;
@@ -362,7 +1161,8 @@ class ChatUI {
 
     updateGeneratingState(isGenerating) {
         if (this.elements.sendBtn) {
-            this.elements.sendBtn.style.display = isGenerating ? 'none' : 'inline-flex';
+            // Stays available: messages sent now wait in the queue
+            this.elements.sendBtn.title = isGenerating ? 'Queue message' : '';
         }
         if (this.elements.stopBtn) {
             this.elements.stopBtn.style.display = isGenerating ? 'inline-flex' : 'none';
@@ -372,35 +1172,163 @@ class ChatUI {
         }
     }
 
-    async getConversationHistory() {
-        const messages = await this.chatStore.getAll();
-        const sessionMessages = messages
-            .filter(msg => msg.sessionId === this.currentSessionId)
-            .sort((a, b) => a.timestamp - b.timestamp)
+    /**
+     * The branch ending at `leafId` (the transcript's branch when omitted),
+     * split at the running summary: `{ summary, messages }`. The summary only
+     * applies when the last message it covers is on this branch; after an
+     * edit or regenerate above that point, `summary` is null and `messages`
+     * is the whole branch, oldest first.
+     */
+    async getSummarizedBranch(leafId = null) {
+        const messages = await this.getSessionMessages();
+        const branch = leafId ? this.getBranch(messages, leafId) : this.getActivePath(messages);
+        const covered = this.summary ? branch.findIndex(msg => msg.id === this.summary.coveredId) : -1;
+
+        return covered === -1
+            ? { summary: null, messages: branch }
+            : { summary: this.summary, messages: branch.slice(covered + 1) };
+    }
+
+    /**
+     * Messages on the branch ending at `leafId` that the summary doesn't
+     * cover yet, oldest first.
+     */
+    async getUnsummarizedMessages(leafId = null) {
+        return (await this.getSummarizedBranch(leafId)).messages;
+    }
+
+    async getConversationHistory(leafId = null) {
+        return (await this.getUnsummarizedMessages(leafId))
             .map(msg => ({
                 role: msg.role,
                 content: msg.content
             }));
+    }
+
+    /**
+     * The conversation's prompt preset.
+     */
+    getPreset() {
+        return promptPresets.get(this.presetId);
+    }
 
-        // Add system message if not present
-        if (sessionMessages.length === 0 || sessionMessages[0].role !== 'system') {
-            sessionMessages.unshift({
-                role: 'system',
-                content: 'You are a helpful assistant running locally in the browser.'
+    /**
+     * Use `presetId`'s prompts for this conversation, and for new ones.
+     */
+    async setPreset(presetId) {
+        this.presetId = presetId;
+        localStorage.setItem(LAST_PRESET_KEY, presetId);
+        await this.chatStore?.put({
+            id: `${this.currentSessionId}_preset`,
+            sessionId: this.currentSessionId,
+            role: 'preset',
+            presetId,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * System prompt for a reply on the branch ending at `leafId`: the
+     * preset's, with its template variables filled in, followed by the
+     * running summary if it applies to that branch.
+     */
+    async getSystemPrompt(preset = this.getPreset(), leafId = null) {
+        const prompt = await promptPresets.render(preset.systemPrompt);
+        const { summary: branchSummary } = await this.getSummarizedBranch(leafId);
+        if (!branchSummary?.content) {
+            return prompt;
+        }
+
+        const summary = `Summary of the earlier conversation:\n${branchSummary.content}`;
+        return prompt ? `${prompt}\n\n${summary}` : summary;
+    }
+
+    async updateSummary(leafId = null) {
+        const { summary, messages } = await this.getSummarizedBranch(leafId);
+        // The last message is the user turn being answered; it always stays verbatim
+        const history = messages.slice(0, -1);
+        const toSummarize = conversationSummarizer.selectMessages(history);
+        if (toSummarize.length === 0) {
+            return;
+        }
+
+        const status = document.createElement('div');
+        status.className = 'rag-status';
+        status.style.cssText = 'padding: 8px; margin: 8px 0; background: #f0f4f8; border-radius: 4px; font-size: 0.9em; color: #666;';
+        status.textContent = `📝 Summarizing ${toSummarize.length} earlier messages...`;
+        this.elements.chatTranscript.appendChild(status);
+        this.scrollToBottom();
+
+        try {
+            // A summary from another branch is replaced by this branch's own
+            const content = await conversationSummarizer.summarize(toSummarize, summary?.content || '', {
+                signal: this.abortController?.signal
             });
+
+            if (this.abortController?.signal.aborted || !content) {
+                return;
+            }
+
+            await this.saveSummary(content, toSummarize[toSummarize.length - 1].id);
+        } catch (error) {
+            // Not fatal: the context manager still trims whatever doesn't fit
+            logger.warn('[ChatUI] Failed to update conversation summary:', error);
+        } finally {
+            status.remove();
+        }
+    }
+
+    /**
+     * Store the running summary. `coveredId` is the last message it covers,
+     * which ties it to the branches through that message.
+     */
+    async saveSummary(content, coveredId = this.summary?.coveredId || null) {
+        this.summary = {
+            id: `${this.currentSessionId}_summary`,
+            sessionId: this.currentSessionId,
+            role: 'summary',
+            content,
+            coveredId,
+            timestamp: Date.now()
+        };
+
+        await this.chatStore.put(this.summary);
+        this.updateSummaryIndicator();
+        return this.summary;
+    }
+
+    updateSummaryIndicator() {
+        if (this.elements?.summaryBtn) {
+            this.elements.summaryBtn.hidden = !this.summary;
         }
+    }
 
-        return sessionMessages;
+    async editSummary() {
+        if (!this.summary) {
+            return;
+        }
+
+        const content = await this.showTextEditor(this.summary.content, 'Conversation Summary', {
+            description: 'Earlier messages in this chat have been condensed into this summary, which the assistant sees in place of them. Edit it to correct or remove details.',
+            confirmText: 'Save'
+        });
+
+        if (content !== null && content.trim() !== this.summary.content) {
+            await this.saveSummary(content.trim());
+            logger.log('[ChatUI] Conversation summary edited');
+        }
     }
 
-    async saveMessage(role, content, sources = null) {
+    async saveMessage(role, content, sources = null, extra = {}) {
         const message = {
-            id: `${this.currentSessionId}_${Date.now()}`,
+            // Replies saved back to back can share a millisecond
+            id: `${this.currentSessionId}_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
             sessionId: this.currentSessionId,
             role,
             content,
             sources,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            ...extra
         };
 
         await this.chatStore.put(message);
@@ -554,6 +1482,150 @@ class ChatUI {
         });
     }
 
+    /**
+     * Modal with a multi-line text field. Resolves with the edited text, or
+     * null when cancelled.
+     */
+    showTextEditor(value, title = 'Edit', options = {}) {
+        const {
+            description = '',
+            confirmText = 'Save',
+            cancelText = 'Cancel',
+            placeholder = ''
+        } = options;
+
+        return new Promise((resolve) => {
+            const backdrop = document.createElement('div');
+            backdrop.style.cssText = `
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.5);
+                z-index: 9999;
+                opacity: 0;
+                transition: opacity 0.3s ease;
+            `;
+
+            const modal = document.createElement('div');
+            modal.style.cssText = `
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%) scale(0.9);
+                background: var(--surface);
+                border-radius: var(--radius);
+                box-shadow: 0 10px 40px rgba(0,0,0,0.3);
+                z-index: 10000;
+                width: min(560px, calc(100vw - 32px));
+                opacity: 0;
+                transition: all 0.3s ease;
+            `;
+
+            const header = document.createElement('div');
+            header.style.cssText = `
+                padding: 20px;
+                border-bottom: 1px solid var(--border);
+            `;
+            const titleEl = document.createElement('h3');
+            titleEl.textContent = title;
+            titleEl.style.cssText = `
+                margin: 0;
+                color: var(--text-primary);
+                font-size: 1.1rem;
+            `;
+            header.appendChild(titleEl);
+
+            const body = document.createElement('div');
+            body.style.cssText = `
+                padding: 20px;
+                display: flex;
+                flex-direction: column;
+                gap: 12px;
+            `;
+            if (description) {
+                const descriptionEl = document.createElement('p');
+                descriptionEl.style.cssText = `
+                    margin: 0;
+                    color: var(--text-secondary);
+                    line-height: 1.5;
+                `;
+                descriptionEl.textContent = description;
+                body.appendChild(descriptionEl);
+            }
+            const textarea = document.createElement('textarea');
+            textarea.className = 'chat-input';
+            textarea.value = value;
+            textarea.placeholder = placeholder;
+            textarea.rows = 10;
+            textarea.style.cssText = `
+                width: 100%;
+                min-height: 200px;
+                resize: vertical;
+            `;
+            body.appendChild(textarea);
+
+            const footer = document.createElement('div');
+            footer.style.cssText = `
+                padding: 15px 20px;
+                border-top: 1px solid var(--border);
+                display: flex;
+                justify-content: flex-end;
+                gap: 10px;
+            `;
+
+            const cancelBtn = document.createElement('button');
+            cancelBtn.textContent = cancelText;
+            cancelBtn.className = 'btn btn-secondary';
+
+            const confirmBtn = document.createElement('button');
+            confirmBtn.textContent = confirmText;
+            confirmBtn.className = 'btn btn-primary';
+
+            footer.appendChild(cancelBtn);
+            footer.appendChild(confirmBtn);
+
+            modal.appendChild(header);
+            modal.appendChild(body);
+            modal.appendChild(footer);
+
+            document.body.appendChild(backdrop);
+            document.body.appendChild(modal);
+
+            requestAnimationFrame(() => {
+                backdrop.style.opacity = '1';
+                modal.style.opacity = '1';
+                modal.style.transform = 'translate(-50%, -50%) scale(1)';
+            });
+
+            const close = (result) => {
+                document.removeEventListener('keydown', handleKeydown);
+                backdrop.style.opacity = '0';
+                modal.style.opacity = '0';
+                modal.style.transform = 'translate(-50%, -50%) scale(0.9)';
+                setTimeout(() => {
+                    backdrop.remove();
+                    modal.remove();
+                    resolve(result);
+                }, 300);
+            };
+
+            confirmBtn.addEventListener('click', () => close(textarea.value));
+            cancelBtn.addEventListener('click', () => close(null));
+            backdrop.addEventListener('click', () => close(null));
+
+            // Enter inserts newlines here; Ctrl/Cmd+Enter saves
+            const handleKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    close(null);
+                } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    close(textarea.value);
+                }
+            };
+            document.addEventListener('keydown', handleKeydown);
+
+            textarea.focus();
+        });
+    }
+
     async clearChat() {
         const confirmed = await this.showConfirm('Clear chat history? This cannot be undone.', 'Clear Chat', {
             type: 'danger',
@@ -568,6 +1640,9 @@ class ChatUI {
         // Stop all TTS playback
         stopAllTTS();
 
+        // Queued prompts belong to the chat being cleared
+        this.clearQueue();
+
         // Clear current session messages
         const messages = await this.chatStore.getAll();
         const sessionMessages = messages.filter(msg => msg.sessionId === this.currentSessionId);
@@ -594,17 +1669,19 @@ class ChatUI {
         // Start new session
         this.currentSessionId = this.generateSessionId();
         localStorage.setItem('llm-web-current-session', this.currentSessionId);
+        this.summary = null;
+        this.activeRootId = null;
+        this.updateSummaryIndicator();
     }
 
     async exportChat() {
-        const messages = await this.chatStore.getAll();
-        const sessionMessages = messages
-            .filter(msg => msg.sessionId === this.currentSessionId)
-            .sort((a, b) => a.timestamp - b.timestamp);
+        // The conversation as shown, without alternative branches
+        const sessionMessages = this.getActivePath(await this.getSessionMessages());
 
         const exportData = {
             sessionId: this.currentSessionId,
             exportedAt: new Date().toISOString(),
+            summary: (await this.getSummarizedBranch()).summary?.content || null,
             messages: sessionMessages.map(msg => ({
                 role: msg.role,
                 content: msg.content,
@@ -638,6 +1715,18 @@ class ChatUI {
         this.ragEnabled = enabled;
     }
 
+    setToolsEnabled(enabled) {
+        this.toolsEnabled = enabled;
+    }
+
+    setLogprobsEnabled(enabled) {
+        this.logprobsEnabled = enabled;
+    }
+
+    setThinkingEnabled(enabled) {
+        this.thinkingEnabled = enabled;
+    }
+
     setRAGThreshold(threshold) {
         this.ragThreshold = threshold;
         logger.log(`[ChatUI] RAG threshold set to ${threshold}`);